@@ -3,6 +3,9 @@
 const _ = require('lodash')
 const Base = require('./base')
 const Path = require('./path')
+const types = require('../utils/types')
+const renderers = require('../utils/renderers')
+const thread = require('../utils/thread')
 
 /**
  * Dialogues control which paths are available and for how long. Passing
@@ -12,12 +15,69 @@ const Path = require('./path')
  * Where paths are self-replicating steps, the dialogue persists along the
  * journey.
  *
+ * Paths can also be nested, for sub-dialogues that return to where the user
+ * was. Pushing a path keeps the current one on a stack, to resume with its
+ * branches intact when the pushed path closes.
+ *
+ * Questions can also be asked with an expected type of reply, for the parsed
+ * value to be returned in a promise, so async scripts can be written linearly.
+ *
+ * Warnings can be configured to send before the timeout is reached, each with
+ * the time before expiry and text to send. After a warning, replying with the
+ * extend command (if configured) restarts the countdown.
+ *
+ * Each matched step is kept in the dialogue's history, so with a back command
+ * configured, the user can return to the previous path. Its prompt is sent
+ * again and the branch followed from it is undone (if given an undo option).
+ *
+ * Sends are serialised, so messages are delivered in order. With pacing
+ * enabled, each string is sent after a delay based on its length, as if typed,
+ * showing a typing indicator if the adapter has a `typing` method.
+ *
+ * Dialogues can be paused (e.g. during a lookup), suspending the timeout until
+ * resumed. While paused, incoming messages are queued to be received on resume,
+ * or answered with a holding message if configured (only cancel still works).
+ *
+ * Messages received and sent are kept, as a transcript of the dialogue so far,
+ * e.g. for an operator when handed off to a person (see `Scene.handoff`).
+ *
+ * If a path has labelled branches, its prompt is sent with those choices,
+ * rendered for the adapter (e.g. as buttons), or as a numbered list of text.
+ *
+ * Other commands can be configured to escape the current path from any point:
+ * cancel (end with cancelled status), help (send the prompt again, listing the
+ * branch labels) and restart (undo all steps, returning to the first path).
+ * Command strings must be the whole message, but a RegExp is used as given.
+ *
  * @param {Response} res                  Hubot Response object
  * @param {Object} [options]              Key/val options for config
  * @param {boolean} [options.sendReplies] Toggle replying/sending (prefix with "@user")
  * @param {boolean} [options.sendDirect]  Toggle replying/sending (prefix with "@user")
+ * @param {boolean} [options.sendThreaded] Send into the thread of the first message (or start one)
  * @param {number} [options.timeout]      Allowed time to reply (in miliseconds) before cancelling listeners
  * @param {string} [options.timeoutText]  What to send when timeout reached, set null to not send
+ * @param {Object[]} [options.timeoutWarnings] Warnings to send before timeout, each containing:<br>
+ *                                        - before: Time before timeout to send (in miliseconds)<br>
+ *                                        - text: What to send
+ * @param {string/RegExp} [options.extendCommand] Message to restart countdown after warning (e.g. "wait")
+ * @param {string} [options.extendText]   What to send when countdown extended, set null to not send
+ * @param {boolean} [options.pacing]     Delay each string sent, based on length
+ * @param {number} [options.pacingRate]   Delay per character (in miliseconds)
+ * @param {number} [options.pacingMin]    Minimum delay for each string
+ * @param {number} [options.pacingMax]    Maximum delay for each string
+ * @param {string} [options.pausedText]   Sent to messages while paused, instead of queueing them
+ * @param {string/Function} [options.renderer] Renderer name or function for choices (default by adapter)
+ * @param {string/RegExp} [options.backCommand] Message to return to previous path (e.g. "back|undo")
+ * @param {string/RegExp} [options.cancelCommand] Message to end dialogue as cancelled (e.g. "cancel|stop")
+ * @param {string} [options.cancelText]   What to send when cancelled, set null to not send
+ * @param {string/RegExp} [options.helpCommand] Message to send the prompt again with options (e.g. "help")
+ * @param {string} [options.helpText]     Sent before listing branch labels for help
+ * @param {string/RegExp} [options.restartCommand] Message to return to the first path (e.g. "restart")
+ * @param {string/RegExp} [options.handoffCommand] Message to hand off to an operator (e.g. "human|agent")
+ * @param {number} [options.maxAttempts]  Default for paths, unmatched replies allowed before ending
+ * @param {string} [options.exhaustedMessage]   Default for paths, to send when attempts exhausted
+ * @param {Function} [options.exhaustedCallback] Default for paths, to call when attempts exhausted
+ * @param {boolean} [options.fallThrough] Default for paths, flag unmatched replies to pass on
  * @param {string} [key]                  Key name for this instance
  *
  * @example <caption>listener sets up dialogue with user on match (10 second timeout)</caption>
@@ -32,32 +92,71 @@ class Dialogue extends Base {
     this.defaults({
       sendReplies: false,
       sendDirect: false,
+      sendThreaded: false,
       timeout: parseInt(process.env.DIALOGUE_TIMEOUT || 30000),
       timeoutText: process.env.DIALOGUE_TIMEOUT_TEXT ||
-        'Timed out! Please start again.'
+        'Timed out! Please start again.',
+      timeoutWarnings: [],
+      extendCommand: process.env.DIALOGUE_EXTEND_COMMAND || null,
+      extendText: process.env.DIALOGUE_EXTEND_TEXT || 'Ok, take your time.',
+      pacing: process.env.DIALOGUE_PACING === 'true',
+      pacingRate: parseInt(process.env.DIALOGUE_PACING_RATE || 30),
+      pacingMin: parseInt(process.env.DIALOGUE_PACING_MIN || 500),
+      pacingMax: parseInt(process.env.DIALOGUE_PACING_MAX || 3000),
+      pausedText: process.env.DIALOGUE_PAUSED_TEXT || null,
+      renderer: process.env.DIALOGUE_RENDERER || null,
+      backCommand: process.env.DIALOGUE_BACK_COMMAND || null,
+      cancelCommand: process.env.DIALOGUE_CANCEL_COMMAND || null,
+      cancelText: process.env.DIALOGUE_CANCEL_TEXT || 'Ok, cancelled.',
+      helpCommand: process.env.DIALOGUE_HELP_COMMAND || null,
+      helpText: process.env.DIALOGUE_HELP_TEXT || 'You can reply with:',
+      restartCommand: process.env.DIALOGUE_RESTART_COMMAND || null,
+      handoffCommand: process.env.DIALOGUE_HANDOFF_COMMAND || null
     })
     res.dialogue = this
     this.res = res
+    this.thread = thread.id(res.message)
     this.Path = Path
+    this.types = types
+    this.renderers = renderers
     this.path = null
+    this.pathStack = []
+    this.history = []
+    this.warnings = []
+    this.warned = 0
+    this.sending = null
+    this.paused = false
+    this.queue = []
     this.ended = false
     this.eventListeners = []
+    this.messages = []
+    this.record(res.message.user.name, res.message.text)
   }
 
   /**
    * Shutdown and emit status (for scene to disengage participants).
    *
-   * @return {boolean} Shutdown status, false if was already ended
+   * Status is complete or incomplete, depending if the path was closed, unless
+   * given another (e.g. exhausted).
+   *
+   * @param  {string} [status] Reason for ending
+   * @return {boolean}         Shutdown status, false if was already ended
   */
-  end () {
+  end (status) {
     if (this.ended) return false
     if (!_.isNil(this.countdown)) this.clearTimeout()
+    this.paused = false
+    this.queue = []
+    if (_.isNil(status)) {
+      status = (this.path && this.path.closed) ? 'complete' : 'incomplete'
+    }
     if (this.path != null) {
-      this.log.debug(`Dialog ended ${this.path.closed ? '' : 'in'}complete`)
+      this.log.debug(`Dialog ended ${status}`)
     } else {
       this.log.debug('Dialog ended before paths added')
     }
-    this.emit('end', this.res)
+    this.status = status
+    this.emit('end', this.res, status)
     this.ended = true
     setTimeout(() => {
       // clear our listeners
@@ -71,51 +170,137 @@ class Dialogue extends Base {
   /**
    * Send or reply with message as configured (@user reply or send to room).
    *
+   * Waits for any prior sends to be delivered first. If pacing, strings are
+   * delivered one at a time.
+   *
    * @param {string} strings Message strings
-   * @return {Promise} Resolves with result of send (respond middleware context)
+   * @return {Promise} Resolves with result of send (respond middleware context),
+   *                   or the last send if pacing
   */
   send (...strings) {
+    const deliver = () => (this.config.pacing)
+      ? this.sendPaced(strings)
+      : this.deliver(...strings)
+    const sent = (this.sending) ? this.sending.then(deliver) : deliver()
+    const sending = this.sending = sent.catch(() => null).then(() => {
+      if (this.sending === sending) this.sending = null
+    })
+    return sent
+  }
+
+  /**
+   * Deliver message strings via response, emitting `send` with the time sent.
+   *
+   * @param {string} strings Message strings
+   * @return {Promise} Resolves with result of send (respond middleware context)
+  */
+  deliver (...strings) {
     let sent
+    if (this.config.sendThreaded && this.thread) thread.assign(this.res.message, this.thread)
     if (this.config.sendReplies) sent = this.res.reply(...strings)
     else if (this.config.sendDirect) sent = this.res.sendDM(...strings)
     else sent = this.res.send(...strings)
     return sent.then((result) => {
+      result.strings.forEach((string) => this.record(this.robot.name, string))
       this.emit('send', result.response, {
         strings: result.strings,
         method: result.method,
-        received: this.res
+        received: this.res,
+        time: Date.now()
       })
       return result
     })
   }
 
   /**
-   * Default timeout method sends message, unless null or method overriden.
+   * Keep a message in the dialogue's transcript, ignoring any without text.
+   *
+   * @param {string} name    Name of who sent the message
+   * @param {string} message Message text (or rich message with text attribute)
+  */
+  record (name, message) {
+    const text = (_.isString(message)) ? message : _.get(message, 'text')
+    if (!_.isEmpty(text)) this.messages.push([name, text])
+  }
+
+  /**
+   * Deliver each string in turn, after showing typing and waiting a delay.
+   *
+   * @param {array} strings Message strings
+   * @return {Promise} Resolves with result of last send
+  */
+  sendPaced (strings) {
+    return strings.reduce((sent, string) => sent.then(() => {
+      this.typing()
+      return new Promise((resolve) => setTimeout(resolve, this.pacingDelay(string)))
+    }).then(() => this.deliver(string)), Promise.resolve())
+  }
+
+  /**
+   * Get delay before sending a string, by its length at the pacing rate,
+   * within the min and max delay.
+   *
+   * @param {string} string Message string (or rich message object)
+   * @return {number}       Delay (in miliseconds)
+  */
+  pacingDelay (string) {
+    const length = (_.isString(string)) ? string.length : 0
+    const { pacingRate, pacingMin, pacingMax } = this.config
+    return _.clamp(length * pacingRate, pacingMin, pacingMax)
+  }
+
+  /**
+   * Show typing indicator in the dialogue's room, if the adapter supports it.
+  */
+  typing () {
+    const adapter = this.robot.adapter
+    if (adapter && _.isFunction(adapter.typing)) adapter.typing(this.res.envelope)
+  }
+
+  /**
+   * Default timeout method sends message (for current path or dialogue),
+   * unless null or method overriden.
    *
    * If given a method it will call that or can be reassigned as a new function.
    *
    * @param  {Function} [override] - New function to call (optional)
   */
   onTimeout (override) {
+    const timeoutText = this.pathConfig('timeoutText')
     if (override != null) this.onTimeout = override
-    else if (this.config.timeoutText != null) this.send(this.config.timeoutText)
+    else if (timeoutText != null) this.send(timeoutText)
   }
 
   /**
-   * Stop countdown for matching dialogue branches.
+   * Stop countdown for matching dialogue branches, and any pending warnings.
   */
   clearTimeout () {
     clearTimeout(this.countdown)
+    this.warnings.forEach((warning) => clearTimeout(warning))
+    this.warnings = []
     delete this.countdown
+    delete this.expires
   }
 
   /**
    * Start (or restart) countdown for matching dialogue branches.
    *
    * Catches the onTimeout method because it can be overriden and may throw.
+   *
+   * Schedules configured warnings, unless given before more time than allowed.
+   *
+   * @param {number} [timeout] Time to allow, if not configured for the path or dialogue
   */
-  startTimeout () {
+  startTimeout (timeout = this.pathConfig('timeout')) {
     if (!_.isNil(this.countdown)) this.clearTimeout()
+    this.expires = Date.now() + timeout
+    this.warned = 0
+    this.config.timeoutWarnings.forEach((warning, index) => {
+      if (warning.before >= timeout) return
+      this.warnings.push(setTimeout(() => {
+        this.warn(warning, index + 1)
+      }, timeout - warning.before))
+    })
     this.countdown = setTimeout(() => {
       this.emit('timeout', this.res)
       try {
@@ -124,20 +309,175 @@ class Dialogue extends Base {
         this.error(err)
       }
       delete this.countdown
+      delete this.expires
       return this.end()
-    }, this.config.timeout)
+    }, timeout)
     return this.countdown
   }
 
+  /**
+   * Send a warning before timeout, if it has text.
+   *
+   * Emits `warning` with the stage (number of the warning in config) and time
+   * remaining.
+   *
+   * @param {Object} warning Warning config, with time before timeout and text
+   * @param {number} stage   Number of the warning
+   * @return {Promise}       Resolves when sent (or immediately without text)
+  */
+  warn (warning, stage) {
+    this.warned = stage
+    this.emit('warning', this.res, { stage, remaining: this.remainingTime() })
+    if (_.isNil(warning.text)) return Promise.resolve()
+    return this.send(warning.text)
+  }
+
+  /**
+   * Test if message text is the configured extend command, when a warning has
+   * been sent since the countdown started.
+   *
+   * @param  {Response} res Hubot Response object
+   * @return {boolean}      Message is extend command
+  */
+  isExtend (res) {
+    return this.warned > 0 && this.isCommand('extend', res)
+  }
+
+  /**
+   * Restart the countdown, keeping the current path open.
+   *
+   * Emits `extend` with the warning stage reached before extending.
+   *
+   * @return {Promise} Resolves when extend text sent (or immediately if null)
+  */
+  extend () {
+    const stage = this.warned
+    this.startTimeout()
+    this.emit('extend', this.res, { stage })
+    if (_.isNil(this.config.extendText)) return Promise.resolve()
+    return this.send(this.config.extendText)
+  }
+
+  /**
+   * Put the dialogue on hold, suspending the countdown until resumed.
+   *
+   * Emits `pause` with the time that was remaining.
+   *
+   * @return {boolean} Pause success (false if already paused or ended)
+  */
+  pause () {
+    if (this.ended || this.paused) return false
+    this.pausedRemaining = (_.isNil(this.countdown)) ? null : this.remainingTime()
+    this.clearTimeout()
+    this.paused = true
+    this.emit('pause', this.res, { remaining: this.pausedRemaining })
+    return true
+  }
+
+  /**
+   * Take the dialogue off hold, restarting the countdown with the time that was
+   * remaining, then receive any messages queued while paused.
+   *
+   * Emits `resume` with the number of queued messages.
+   *
+   * @return {Promise} Resolves when queued messages received (false if not paused)
+  */
+  resume () {
+    if (this.ended || !this.paused) return Promise.resolve(false)
+    const queue = this.queue
+    this.paused = false
+    this.queue = []
+    if (!_.isNil(this.pausedRemaining)) this.startTimeout(this.pausedRemaining)
+    delete this.pausedRemaining
+    this.emit('resume', this.res, { queued: queue.length })
+    return queue.reduce((received, res) => {
+      return received.then(() => this.receive(res))
+    }, Promise.resolve()).then(() => true)
+  }
+
+  /**
+   * Hold a message received while paused, by queueing it or sending the paused
+   * text if configured.
+   *
+   * @param  {Response} res Hubot Response object
+   * @return {Promise}      Resolves when held
+  */
+  hold (res) {
+    if (_.isNil(this.config.pausedText)) {
+      this.queue.push(res)
+      return Promise.resolve(false)
+    }
+    res.dialogue = this
+    this.res = res
+    return this.send(this.config.pausedText)
+  }
+
+  /**
+   * Get time left before the countdown expires, the time that was left when
+   * paused, or the full timeout if not started.
+   *
+   * @return {number} Remaining time (in miliseconds)
+  */
+  remainingTime () {
+    if (this.paused && !_.isNil(this.pausedRemaining)) return this.pausedRemaining
+    if (_.isNil(this.expires)) return this.pathConfig('timeout')
+    return Math.max(this.expires - Date.now(), 0)
+  }
+
+  /**
+   * Get config for the current path, if set in its options, otherwise the
+   * dialogue's config (e.g. for path specific timeout).
+   *
+   * @param  {string} name Config key
+   * @return {*}           Config value
+  */
+  pathConfig (name) {
+    const value = _.get(this.path, ['config', name])
+    return (_.isUndefined(value)) ? this.config[name] : value
+  }
+
+  /**
+   * Get the dialogue's state as plain attributes, to store and rebuild later.
+   *
+   * Includes the last message details (and thread), so a response can be
+   * recreated to continue the dialogue, but only config without functions.
+   * RegExp config (e.g. commands) is stored as a string like "/stop/i", which
+   * is accepted in its place.
+   *
+   * @return {Object} Dialogue key, config, message, path and remaining time
+  */
+  serialize () {
+    const message = this.res.message
+    return {
+      key: this.key,
+      config: _.mapValues(_.omitBy(this.config, _.isFunction), (value) => {
+        return (_.isRegExp(value)) ? value.toString() : value
+      }),
+      message: _.omitBy({
+        user: _.pick(message.user, ['id', 'name', 'room']),
+        room: message.room,
+        text: message.text,
+        thread: this.thread
+      }, _.isUndefined),
+      path: (this.path) ? this.path.serialize() : null,
+      remaining: this.remainingTime(),
+      paused: this.paused
+    }
+  }
+
   /**
    * Add a dialogue path, with branches to follow and a prompt (optional).
    *
    * Any new path added overwrites the previous. If a path isn't given a key but
-   * the parent dialogue has one, it will be given to the path.
+   * the parent dialogue has one, it will be given to the path. Attempt limits
+   * configured for the dialogue are defaults for the path.
+   *
+   * Path options can include `timeout` and `timeoutText`, to override the
+   * dialogue's config while that path is current.
    *
    * @param {string} [prompt]   To send on path setup (e.g. presenting options)
    * @param {array}  [branches] Array of args for each branch, each containing:<br>
-   *                            - RegExp for listener<br>
+   *                            - RegExp or matcher for listener<br>
    *                            - String to send and/or<br>
    *                            - Function to call on match
    * @param {Object} [options]  Key/val options for path
@@ -152,20 +492,316 @@ class Dialogue extends Base {
    * ], 'which-way')
   */
   addPath (...args) {
-    let result
-    if (_.isString(args[0])) result = this.send(args.shift())
+    const prompt = (_.isString(args[0])) ? args.shift() : null
     this.path = new this.Path(this.robot, ...args)
+    if (prompt) this.path.defaults({ prompt })
+    this.path.defaults(_.pick(this.config, [
+      'maxAttempts', 'exhaustedMessage', 'exhaustedCallback', 'fallThrough'
+    ]))
     if (!this.path.key && this.key) this.path.key = this.key
     this.emit('path', this.path)
     if (this.path.branches.length) this.startTimeout()
-    return Promise.resolve(result).then(() => this.path)
+    const sent = (prompt) ? this.sendPrompt() : null
+    return Promise.resolve(sent).then(() => this.path)
+  }
+
+  /**
+   * Send the current path's prompt (if it has one), with any choices from its
+   * labelled branches, rendered for the adapter (or as the path's menu text).
+   *
+   * @return {Promise} Resolves with result of send (or immediately without prompt)
+  */
+  sendPrompt () {
+    const prompt = (this.path) ? this.path.config.prompt : null
+    if (!prompt) return Promise.resolve()
+    const choices = this.path.choices()
+    if (!choices.length) return this.send(..._.castArray(prompt))
+    const render = this.getRenderer()
+    if (render === this.renderers.text) return this.send(this.path.menu())
+    return this.send(render(_.castArray(prompt).join('\n'), choices))
+  }
+
+  /**
+   * Get function to render prompts with choices, from the configured renderer
+   * (name or function), or by the adapter name if not set, falling back to
+   * plain text.
+   *
+   * @return {Function} Renderer, called with prompt and choices
+  */
+  getRenderer () {
+    const renderer = this.config.renderer
+    if (_.isFunction(renderer)) return renderer
+    const name = renderer || _.find(_.keys(this.renderers), (key) => {
+      return _.includes(_.toLower(this.robot.adapterName), key)
+    })
+    return this.renderers[name] || this.renderers.text
+  }
+
+  /**
+   * Add a child path, keeping the current path on the stack to resume after
+   * the child path closes. Accepts the same arguments as `.addPath`.
+   *
+   * Emits `push` with the child and parent path (if there was one).
+   *
+   * @param {*} args   Prompt, branches, options and/or key for child path
+   * @return {Promise} Resolves with the child path when prompt sent
+   *
+   * @example <caption>branch handler starts sub-dialogue, then returns</caption>
+   * dlg.addPath('Deliver to home or work?', [
+   *   [ /home|work/, 'Ok, noted' ],
+   *   [ /new/, () => dlg.pushPath('What is the address?', [
+   *     [ /(.*)/, 'Address added' ]
+   *   ]) ]
+   * ])
+  */
+  pushPath (...args) {
+    const parent = this.path
+    if (parent) this.pathStack.push(parent)
+    const added = this.addPath(...args)
+    this.emit('push', this.path, parent)
+    return added
+  }
+
+  /**
+   * Return to the parent path from the stack, re-opened with its branches.
+   *
+   * Emits `pop` with the parent and the child path it replaced.
+   *
+   * @return {Path} The resumed parent path (or null if stack empty)
+  */
+  popPath () {
+    if (!this.pathStack.length) return null
+    const child = this.path
+    this.path = this.pathStack.pop()
+    this.path.closed = false
+    this.emit('pop', this.path, child)
+    this.startTimeout()
+    return this.path
+  }
+
+  /**
+   * Ask a question, adding a path that only matches a reply of the given type.
+   *
+   * Types are text, number, yesno, email, date or choice (from `choices`
+   * option), or an object with a custom `parse` function and `invalidText`.
+   *
+   * Invalid replies are caught with the type's invalid text (unless given in
+   * options), respecting the max attempts for the path or dialogue.
+   *
+   * The promise rejects with an error, with the dialogue's end status, if the
+   * dialogue times out or ends (e.g. exhausted) before a valid reply.
+   *
+   * Once answered, the dialogue ends as complete unless the script continues
+   * by adding the next path (e.g. asking again) straight away, without waiting
+   * on other async work first. So the participants aren't held in a dialogue
+   * that has nothing more to ask.
+   *
+   * @param  {string} prompt                     Question to send
+   * @param  {string|Object} [type]              Type name (default text) or custom type
+   * @param  {Object} [options]                  Key/val options for type and path
+   * @param  {array}  [options.choices]          Values accepted for choice type
+   * @param  {number} [options.min]              Minimum for number type
+   * @param  {number} [options.max]              Maximum for number type
+   * @param  {string} [options.invalidText]      To send for invalid reply, instead of type's
+   * @param  {number} [options.maxAttempts]      Invalid replies allowed before exhausted
+   * @param  {string} [options.exhaustedMessage] To send when attempts exhausted
+   * @param  {number} [options.timeout]          Time to allow for reply, instead of dialogue's
+   * @param  {string} [options.timeoutText]      To send on timeout, instead of dialogue's
+   * @param  {string} [options.key]              Key name for the path
+   * @return {Promise}                           Resolves with parsed value of valid reply
+   *
+   * @example <caption>ask for number and confirmation in sequence</caption>
+   * robot.respond(/order/, async (res) => {
+   *   let dlg = new Dialogue(res)
+   *   let qty = await dlg.ask('How many?', 'number', { min: 1 })
+   *   let ok = await dlg.ask(`Confirm order of ${qty}?`, 'yesno')
+   *   if (ok) order(qty)
+   * })
+  */
+  ask (prompt, type = 'text', options = {}) {
+    const parser = (_.isString(type)) ? this.types[type] : type
+    if (_.isNil(parser) || !_.isFunction(parser.parse)) this.error(`Invalid type for ask: ${type}`)
+    if (this.ended) return Promise.reject(this.askError(this.status))
+    return new Promise((resolve, reject) => {
+      const listeners = {}
+      const settle = () => _.forEach(listeners, (cb, event) => {
+        this.robot.events.removeListener(event, cb)
+      })
+      listeners.timeout = this.on('timeout', () => {
+        settle()
+        reject(this.askError('timeout'))
+      })
+      listeners.end = this.on('end', (res, status) => {
+        settle()
+        reject(this.askError(status))
+      })
+      const matcher = (res) => {
+        const value = parser.parse(res.message.text, options)
+        return (_.isUndefined(value)) ? null : { value }
+      }
+      const pathOptions = _.pick(options, [
+        'maxAttempts', 'exhaustedMessage', 'exhaustedCallback', 'timeout', 'timeoutText'
+      ])
+      pathOptions.catchMessage = options.invalidText || parser.invalidText
+      this.addPath(prompt, [matcher, (res) => {
+        settle()
+        resolve(res.match.value)
+      }], pathOptions, options.key).catch(reject)
+    })
+  }
+
+  /**
+   * Helper, creates error for asked question ending without a valid reply.
+   *
+   * @param  {string} status Dialogue end status (or timeout)
+   * @return {Error}         Error with status attribute
+  */
+  askError (status) {
+    const err = new Error(`Dialogue ended before answer (${status})`)
+    err.status = status
+    return err
+  }
+
+  /**
+   * Test if message text is a configured command, e.g. `cancel` is tested
+   * against the `cancelCommand` option.
+   *
+   * A command string (e.g. "cancel|stop") must match the whole message, ignoring
+   * case and surrounding space, or following the robot's name. A RegExp (or a
+   * string like "/stop/i") is tested as given, so it can match within replies.
+   *
+   * @param  {string}   name Command name
+   * @param  {Response} res  Hubot Response object
+   * @return {boolean}       Message is the command
+  */
+  isCommand (name, res) {
+    const command = this.config[`${name}Command`]
+    const text = res.message.text
+    if (_.isNil(command)) return false
+    if (_.isRegExp(command)) return command.test(text)
+    if (/^\/.+\/.*$/.test(command)) return command.toRegExp().test(text)
+    const pattern = new RegExp(`(?:${command})\\s*$`, 'i')
+    return new RegExp(`^\\s*${pattern.source}`, 'i').test(text) ||
+      this.robot.respondPattern(pattern).test(text)
+  }
+
+  /**
+   * Test if message text is the configured back command, when there is a
+   * previous step to go back to.
+   *
+   * @param  {Response} res Hubot Response object
+   * @return {boolean}      Message is back command
+  */
+  isBack (res) {
+    return this.history.length > 0 && this.isCommand('back', res)
+  }
+
+  /**
+   * Return to the path of the earliest of given steps (removed from history),
+   * re-opened with its branches and the path stack as it was.
+   *
+   * The matched branch's undo option is called with the response for each
+   * step (latest first), to revert anything captured. The path's prompt option
+   * is sent again.
+   *
+   * @param  {array} steps Steps from history, in order taken
+   * @return {Promise}     Resolves with the returned path when prompt sent
+  */
+  rewind (steps) {
+    _.forEachRight(steps, (step) => {
+      if (step.branch && _.isFunction(step.branch.undo)) step.branch.undo(this.res)
+    })
+    const step = _.head(steps)
+    this.path = step.path
+    this.path.closed = false
+    this.pathStack = step.stack
+    this.startTimeout()
+    return this.sendPrompt().then(() => this.path)
+  }
+
+  /**
+   * Return to the path of the last matched step.
+   *
+   * Emits `back` with the returned path and the step removed from history.
+   *
+   * @return {Promise} Resolves with the returned path when prompt sent (or
+   *                   null if there was no history)
+  */
+  back () {
+    if (!this.history.length) return Promise.resolve(null)
+    const steps = this.history.splice(-1)
+    const rewound = this.rewind(steps)
+    this.emit('back', this.path, steps[0])
+    return rewound
+  }
+
+  /**
+   * Return to the first path of the dialogue, undoing all steps in history.
+   * Without history, the current path's prompt is sent again.
+   *
+   * Emits `restart` with the response and the number of steps undone.
+   *
+   * @return {Promise} Resolves with the first path when prompt sent
+  */
+  restart () {
+    const steps = this.history.splice(0)
+    const rewound = (steps.length)
+      ? this.rewind(steps)
+      : this.rewind([{ path: this.path, stack: this.pathStack }])
+    this.emit('restart', this.res, { steps: steps.length })
+    return rewound
+  }
+
+  /**
+   * End the dialogue with cancelled status, sending cancel text (unless null).
+   *
+   * Emits `cancel` with the response, before ending.
+   *
+   * @return {Promise} Resolves when cancel text sent (or immediately if null)
+  */
+  cancel () {
+    this.emit('cancel', this.res)
+    const sent = (_.isNil(this.config.cancelText)) ? null : this.send(this.config.cancelText)
+    this.end('cancelled')
+    return Promise.resolve(sent)
+  }
+
+  /**
+   * Send the current path's prompt again, with help text listing the labels
+   * (or keys) of its branches, if they have any. Restarts the countdown.
+   *
+   * Emits `help` with the response and the options listed.
+   *
+   * @return {Promise} Resolves when sent (or immediately if nothing to send)
+  */
+  help () {
+    const options = _.compact(this.path.branches.map((branch) => branch.label || branch.key))
+    const strings = _.castArray(this.path.config.prompt || [])
+    if (options.length && !_.isNil(this.config.helpText)) {
+      strings.push(`${this.config.helpText} ${options.join(', ')}`)
+    }
+    this.emit('help', this.res, { options })
+    this.startTimeout()
+    return Promise.resolve((strings.length) ? this.send(...strings) : null)
+  }
+
+  /**
+   * Hand off the dialogue to a person, via the scene it's engaged in. The path
+   * is suspended until an operator hands back (see `Scene.handoff`).
+   *
+   * @param  {string} [reason] Why handed off, for operators
+   * @return {Promise}         Resolves when operators notified
+  */
+  handoff (reason) {
+    if (_.isNil(this.scene)) this.error('Handoff requires dialogue in scene')
+    return this.scene.handoff(this.res, reason)
   }
 
   /**
    * Add a branch to dialogue path, which is usually added first, but will be
    * created if not.
    *
-   * @param {RegExp}   regex      Matching pattern
+   * @param {RegExp}   condition  Matching pattern (or matcher)
    * @param {string}   [message]  Message text for response on match
    * @param {Function} [callback] Function called when matched
   */
@@ -179,7 +815,13 @@ class Dialogue extends Base {
    * Process incoming message for match against path branches.
    *
    * If matched, restart timeout. If no additional paths or branches added (by
-   * matching branch handler), end dialogue.
+   * matching branch handler), resume the parent path, or end dialogue if there
+   * is none. If the path's attempts were exhausted, end with that status.
+   * Paths answered by `ask` wait for the asking script to continue first.
+   *
+   * Matched steps are added to history, unless the message is a back command,
+   * which returns to the previous step instead of matching. Likewise, cancel,
+   * help, restart and extend commands are handled before matching.
    *
    * Overrides any prior response with current one.
    *
@@ -188,16 +830,44 @@ class Dialogue extends Base {
   */
   receive (res) {
     if (this.ended || this.path == null) return Promise.resolve(false) // dialogue is over
+    if (this.paused && !this.isCommand('cancel', res)) return this.hold(res)
     this.log.debug(`Dialogue received ${this.res.message.text}`)
     res.dialogue = this
     this.res = res
+    this.record(res.message.user.name, res.message.text)
+    if (this.isCommand('cancel', res)) return this.cancel()
+    if (this.isCommand('help', res)) return this.help()
+    if (this.isCommand('restart', res)) return this.restart()
+    if (this.isCommand('handoff', res)) return this.handoff('requested')
+    if (this.isExtend(res)) return this.extend()
+    if (this.isBack(res)) return this.back()
+    const path = this.path
+    const stack = this.pathStack.slice()
     return this.path.match(res).then((result) => {
       this.log.debug(`Path match result: ${this.res.match} (handler returned: ${result})`)
-      if (this.path.closed) this.end()
+      if (path.matched) this.history.push({ path, stack, branch: path.matched })
+      if (path.exhausted) this.end('exhausted')
+      if (this.path.closed) this.popPath()
+      if (this.path.closed && this.path.config.keepOpen) this.endUnlessContinued()
+      else if (this.path.closed) this.end()
       return result
     })
   }
 
+  /**
+   * End the dialogue after a path kept open (by `ask`) was answered, unless the
+   * next path is added once pending promise callbacks (e.g. the code awaiting
+   * the answer) have run, like scenes exit dialogues without any path.
+   *
+   * @private
+  */
+  endUnlessContinued () {
+    const closed = this.path
+    process.nextTick(() => {
+      if (this.path === closed) this.end()
+    })
+  }
+
   on (event, callback) {
     let cb = super.on(event, callback)
     this.eventListeners.push({[event]: cb})
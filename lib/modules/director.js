@@ -18,6 +18,11 @@ const Base = require('./base')
  * configured for the direcrot) and response object. It must return a boolean to
  * determine access.
  *
+ * Directors for scenes can use _participants_ scope, to check the key a scene
+ * resolves for who's entering (e.g. from a custom participant key function),
+ * so names on lists are participants keys. Other directors have no key to
+ * check, so access is determined by the authorise function alone.
+ *
  * `config.deniedReply` can be set globally with environment var `DENIED_REPLY`
  *
  * Environment vars can also provide global default lists:
@@ -30,7 +35,7 @@ const Base = require('./base')
  * @param {Function} [authorise]         Function to determine access (as fallback)
  * @param {Object} [options]             Key/val options for config
  * @param {string} [options.type]        'whitelist' (default) or 'blacklist'
- * @param {string} [options.scope]       'username' (default) or 'room'
+ * @param {string} [options.scope]       'username' (default), 'room' or 'participants'
  * @param {string} [options.deniedReply] Sent when denied access
  * @param {string} [key]                 Key name for this instance
  *
@@ -53,7 +58,7 @@ class Director extends Base {
     this.authorise = authArg
 
     if (!_.includes(['whitelist', 'blacklist'], this.config.type)) this.error('Invalid type')
-    if (!_.includes(['username', 'room'], this.config.scope)) this.error('Invalid scope')
+    if (!_.includes(['username', 'room', 'participants'], this.config.scope)) this.error('Invalid scope')
     this.log.info(`New ${this.config.scope} Director ${this.config.type}`)
 
     const listEnv = this.config.type.toUpperCase()
@@ -96,8 +101,9 @@ class Director extends Base {
    * _Blacklist_ blocks names on list, let anyone else through. _Whitelist_ lets
    * names on list through, block anyone else. Whitelist is default behaviour.
    *
-   * @param  {Response} res    Hubot Response object
-   * @return {Boolean/Promise} Access allowed - should wrap in resolve
+   * @param  {Response} res            Hubot Response object
+   * @param  {string}   [participants] Key of participants entering scene
+   * @return {Boolean/Promise}         Access allowed - should wrap in resolve
    *
    * @example <caption>assumes res1, res2 are valid Response objects</caption>
    * let noHomers = new Director(robot, { type: 'blacklist' }).add('homer')
@@ -106,12 +112,14 @@ class Director extends Base {
    * noHomers.isAllowed(res1) // false
    * noHomers.isAllowed(res2) // true
   */
-  isAllowed (res) {
+  isAllowed (res, participants) {
     let name
     switch (this.config.scope) {
       case 'username': name = res.message.user.name
         break
       case 'room': name = res.message.room
+        break
+      case 'participants': name = participants
     }
 
     if (this.config.type === 'blacklist') {
@@ -127,11 +135,12 @@ class Director extends Base {
   /**
    * Process access or denial (either silently or with reply, as configured).
    *
-   * @param  {Response} res Hubot Response object
-   * @return {Promise}      Resolves with boolean, access allowed/denied
+   * @param  {Response} res            Hubot Response object
+   * @param  {string}   [participants] Key of participants entering scene
+   * @return {Promise}                 Resolves with boolean, access allowed/denied
   */
-  process (res) {
-    const isAllowed = Promise.resolve(this.isAllowed(res))
+  process (res, participants) {
+    const isAllowed = Promise.resolve(this.isAllowed(res, participants))
     const user = res.message.user.name
     const message = res.message.text
     return isAllowed.then((allowed) => {
@@ -191,6 +200,7 @@ class Director extends Base {
    * Let this director control access to a given scene's listener.
    *
    * Also hooks into `Scene.enter` to control access to manually entered scenes.
+   * Checks the participants key resolved by the scene, for participants scope.
    *
    * @param  {Scene} scene The Scene instance
    * @return {Director}    Self, for chaining methods
@@ -199,7 +209,7 @@ class Director extends Base {
     this.log.info(`Now directing access to ${scene.id} ${scene.key}`)
     const director = this
     scene.registerMiddleware((context, next, done) => {
-      director.process(context.response).then((allowed) => {
+      director.process(context.response, context.participants).then((allowed) => {
         if (allowed) next(done)
         else done()
       })
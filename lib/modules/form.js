@@ -0,0 +1,219 @@
+'use strict'
+
+const _ = require('lodash')
+const Base = require('./base')
+const types = require('../utils/types')
+
+/**
+ * Forms collect records with multiple fields, asking in the current dialogue
+ * for each required field that's missing.
+ *
+ * Fields can be given an `extract` pattern (or function), to take their value
+ * from any message, so several fields can be filled from one reply, including
+ * the message that started the form. Only missing fields are asked for.
+ *
+ * Before resolving, the values are sent for review, to confirm or choose a
+ * field to change (unless the confirm option is false).
+ *
+ * Forms are filled within a dialogue, usually from a scene, so engagement and
+ * timeouts still apply. The promise rejects if the dialogue ends first.
+ *
+ * @param {Robot}    robot                   Hubot Robot instance
+ * @param {Object[]} fields                  Array of objects with attributes for each field
+ * @param {string}   fields[].key            Key for the field value (required)
+ * @param {string}   [fields[].prompt]       Question to ask for the field (required unless optional)
+ * @param {string}   [fields[].label]        Name for the field in review (defaults to key)
+ * @param {string|Object} [fields[].type]    Type for parsing reply, as used by `Dialogue.ask`
+ * @param {RegExp|Function} [fields[].extract] Pattern (or function given text) to find value in any message
+ * @param {boolean}  [fields[].required]     Ask for field if missing (default true)
+ * @param {array}    [fields[].choices]      Values accepted for choice type (other ask options also apply)
+ * @param {Object}   [options]               Key/val options for config
+ * @param {boolean}  [options.confirm]       Review values before resolving (default true)
+ * @param {string}   [options.reviewText]    Sent before list of values for review
+ * @param {string}   [options.confirmText]   Asked after list of values for review
+ * @param {string}   [options.changeText]    Asked before list of fields to change
+ * @param {string}   [key]                   Key name for this instance
+ *
+ * @example <caption>fill ticket fields in scene</caption>
+ * let ticketForm = new Form(robot, [
+ *   { key: 'title', prompt: 'What is the issue?' },
+ *   { key: 'priority', prompt: 'What priority?', type: 'choice', choices: ['high', 'low'], extract: /(high|low) priority/i }
+ * ])
+ * playbook.sceneRespond(/new ticket/, (res) => {
+ *   ticketForm.fill(res).then((ticket) => createTicket(ticket))
+ * })
+*/
+class Form extends Base {
+  constructor (robot, fields, ...args) {
+    super('form', robot, ...args)
+    this.defaults({
+      confirm: true,
+      reviewText: 'Please review:',
+      confirmText: 'Is this correct?',
+      changeText: 'Which would you like to change?'
+    })
+    if (!_.isArray(fields)) this.error('Fields must be Array')
+    if (!_.every(fields, 'key')) this.error('missing key for field')
+    if (!_.every(_.reject(fields, ['required', false]), 'prompt')) this.error('missing prompt for field')
+    this.fields = fields
+  }
+
+  /**
+   * Fill the form in the response's dialogue, with any given values or values
+   * extracted from the response's message.
+   *
+   * Emits `complete` with the last response and the values.
+   *
+   * @param  {Response} res      Hubot Response object (with dialogue)
+   * @param  {Object}   [values] Key/vals for fields already known
+   * @return {Promise}           Resolves with completed values
+  */
+  fill (res, values = {}) {
+    const dialogue = res.dialogue
+    if (_.isNil(dialogue)) this.error('Form requires a dialogue, e.g. from scene')
+    values = _.assign({}, values, this.extractAll(res.message.text, values))
+    return this.askMissing(dialogue, values).then((values) => {
+      return (this.config.confirm) ? this.review(dialogue, values) : values
+    }).then((values) => {
+      this.emit('complete', dialogue.res, values)
+      return values
+    })
+  }
+
+  /**
+   * Helper, gets the type for parsing a field's values.
+   *
+   * @param  {Object} field Field attributes
+   * @return {Object}       Type with parse function and invalid text
+  */
+  getType (field) {
+    const type = (_.isString(field.type) || _.isNil(field.type))
+      ? types[field.type || 'text']
+      : field.type
+    if (_.isNil(type) || !_.isFunction(type.parse)) this.error(`Invalid type for field: ${field.key}`)
+    return type
+  }
+
+  /**
+   * Helper, gets name for a field in review.
+   *
+   * @param  {Object} field Field attributes
+   * @return {string}       Label or key
+  */
+  getLabel (field) {
+    return field.label || field.key
+  }
+
+  /**
+   * Get required fields without values.
+   *
+   * @param  {Object} values Key/vals for fields
+   * @return {array}         Missing fields
+  */
+  missing (values) {
+    return _.filter(this.fields, (field) => {
+      return field.required !== false && _.isUndefined(values[field.key])
+    })
+  }
+
+  /**
+   * Find value for a field in message text, using its extract pattern or
+   * function. Text captured by a pattern is parsed by the field type.
+   *
+   * @param  {Object} field Field attributes
+   * @param  {string} text  Message text
+   * @return {*}            Value (or undefined if not found)
+  */
+  extract (field, text) {
+    if (_.isFunction(field.extract)) return field.extract(text)
+    if (!_.isRegExp(field.extract)) return
+    const match = text.match(field.extract)
+    if (match) return this.getType(field).parse(match[1] || match[0], field)
+  }
+
+  /**
+   * Find values in message text for all fields not already in given values.
+   *
+   * @param  {string} text     Message text
+   * @param  {Object} [values] Key/vals for fields already known
+   * @return {Object}          Key/vals for fields found
+  */
+  extractAll (text, values = {}) {
+    return _.reduce(this.fields, (found, field) => {
+      if (!_.isUndefined(values[field.key])) return found
+      const value = this.extract(field, text)
+      if (!_.isUndefined(value)) found[field.key] = value
+      return found
+    }, {})
+  }
+
+  /**
+   * Ask for a field, accepting any other values that can be extracted from the
+   * reply. The reply is valid if the field value is extracted or parsed.
+   *
+   * @param  {Dialogue} dialogue Dialogue to ask in
+   * @param  {Object}   field    Field attributes
+   * @param  {Object}   values   Key/vals for fields already known
+   * @return {Promise}           Resolves with key/vals found in reply
+  */
+  askField (dialogue, field, values) {
+    const type = this.getType(field)
+    const others = _.assign({ [field.key]: true }, values)
+    return dialogue.ask(field.prompt, {
+      parse: (text) => {
+        let value = this.extract(field, text)
+        if (_.isUndefined(value)) value = type.parse(text, field)
+        if (_.isUndefined(value)) return
+        return _.assign(this.extractAll(text, others), { [field.key]: value })
+      },
+      invalidText: type.invalidText
+    }, field)
+  }
+
+  /**
+   * Ask for each missing field in turn, until none are missing.
+   *
+   * @param  {Dialogue} dialogue Dialogue to ask in
+   * @param  {Object}   values   Key/vals for fields already known
+   * @return {Promise}           Resolves with values for all required fields
+  */
+  askMissing (dialogue, values) {
+    const field = _.head(this.missing(values))
+    if (_.isNil(field)) return Promise.resolve(values)
+    return this.askField(dialogue, field, values).then((found) => {
+      return this.askMissing(dialogue, _.assign({}, values, found))
+    })
+  }
+
+  /**
+   * Ask to confirm values, or which field to change then ask for it again.
+   * Only fields with a prompt can be changed.
+   *
+   * Emits `change` with the last response and the field being changed.
+   *
+   * @param  {Dialogue} dialogue Dialogue to ask in
+   * @param  {Object}   values   Key/vals for fields
+   * @return {Promise}           Resolves with confirmed values
+  */
+  review (dialogue, values) {
+    const summary = _.filter(this.fields, (field) => !_.isUndefined(values[field.key]))
+      .map((field) => `${this.getLabel(field)}: ${values[field.key]}`)
+    const changeable = _.filter(this.fields, 'prompt')
+    const labels = _.map(changeable, (field) => this.getLabel(field))
+    const choices = labels.map((label, index) => `${index + 1}. ${label}`)
+    return dialogue.ask([
+      this.config.reviewText, ...summary, this.config.confirmText
+    ].join('\n'), 'yesno').then((confirmed) => {
+      if (confirmed) return values
+      return dialogue.ask([this.config.changeText, ...choices].join('\n'), 'choice', {
+        choices: labels
+      }).then((label) => {
+        const field = changeable[_.indexOf(labels, label)]
+        this.emit('change', dialogue.res, field)
+        return this.askField(dialogue, field, _.omit(values, field.key))
+      }).then((found) => this.review(dialogue, _.assign({}, values, found)))
+    })
+  }
+}
+
+module.exports = Form
@@ -24,7 +24,12 @@ require('../utils/string-to-regex')
  * @param {string}   bits[].key               Key for scene and/or dialogue running the bit (required)
  * @param {array}    [bits[].send]            String/s to send when doing bit (minimum requirement)
  * @param {string}   [bits[].catch]           To send if response unmatched by listeners
+ * @param {number}   [bits[].maxAttempts]     Unmatched responses allowed before ending dialogue
+ * @param {string}   [bits[].exhausted]       To send when unmatched attempts reach the max
+ * @param {number}   [bits[].timeout]         Time allowed to reply to bit (overrides dialogue)
+ * @param {string}   [bits[].timeoutText]     To send on timeout replying to bit (overrides dialogue)
  * @param {string}   [bits[].condition]       Converted to regex for listener to trigger bit
+ * @param {string}   [bits[].label]           Name for bit as a choice, when it's a branch in a menu
  * @param {string}   [bits[].listen]          Type of listener (hear/respond) for scene entry bit
  * @param {string}   [bits[].scope]           Scope type for scene (only used if it has a listen type)
  * @param {array}    [bits[].next]            Key/s (strings) for consequitive bits
@@ -57,6 +62,17 @@ class Outline extends Base {
     return found
   }
 
+  /**
+   * Helper, gets messages to send for a bit (or the fallback if it has none).
+   * @param  {Object} bit Bit attributes
+   * @return {array}      Message strings
+   */
+  getSends (bit) {
+    return _.isEmpty(bit.send)
+      ? _.castArray(this.config.fallback)
+      : _.castArray(bit.send)
+  }
+
   /**
    * Helper, converts a mixed type condition into a regex.
    *
@@ -133,22 +149,24 @@ class Outline extends Base {
    * May be on entering the scene or continuing from a prior bit.
    * Adds the bit as response property.
    *
+   * With following bits, messages are sent as the path prompt, so any labels
+   * of the next bits are rendered as choices (e.g. numbered or buttons).
+   *
    * The bit argument is provided from binding when setting up the listener,
    * in the context of the listener firing, it will only call with res argument.
    *
    * @param   {Object}   bit The bit being executed
    * @param   {Response} res Hubot Response object
-   * @returns {Promise}      Resolves with addPath result (when sends completed)
-   *                         or immediately if there's no following bits.
+   * @returns {Promise}      Resolves with addPath result (or null if there's no
+   *                         following bits) when sends completed.
    */
   bitCallback (bit, res) {
     res.bit = bit
-    let sends = _.isEmpty(bit.send)
-      ? _.castArray(this.config.fallback)
-      : _.castArray(bit.send)
-    this.setupDialogue(res).send(...sends)
-    if (_.isArray(bit.next)) return this.setupPath(res)
-    else return Promise.resolve()
+    let dialogue = this.setupDialogue(res)
+    if (!_.isArray(bit.next)) return dialogue.send(...this.getSends(bit)).then(() => null)
+    let path = this.setupPath(res)
+    let sent = dialogue.sendPrompt()
+    return Promise.all([sent, path]).then((results) => results[1])
   }
 
   /**
@@ -157,23 +175,45 @@ class Outline extends Base {
    * Response object must already be populated with bit and dialogue.
    *
    * Here the bit's catch property shorthand is converted to the path's
-   * catchMessage config.
+   * catchMessage config, like the exhausted property to exhaustedMessage, with
+   * maxAttempts passed on as is. The bit's messages are kept as the path
+   * prompt, to present the path again if the dialogue goes back to it.
    *
-   * @param   {Response} res Hubot Response object
-   * @returns {Promise}      Resolves with addPath result (when sends completed)
+   * Branches are keyed with their bit key, so the path can be rebuilt from its
+   * serialised state.
+   *
+   * @param   {Response} res    Hubot Response object
+   * @param   {array}    [keys] Keys for branch bits (defaults to bit's next)
+   * @returns {Promise}         Resolves with addPath result (when sends completed)
    */
-  setupPath (res) {
-    let branches = res.bit.next.map((nextKey) => {
+  setupPath (res, keys = res.bit.next) {
+    let branches = keys.map((nextKey) => {
       let nextBit = this.getByKey(nextKey)
       let regex = this.parseCondition(nextBit.condition)
       let callback = this.bitCallback.bind(this, nextBit)
-      return [regex, callback]
+      return [regex, callback, _.omitBy({ key: nextKey, label: nextBit.label }, _.isNil)]
     })
-    if (res.bit.catch) {
-      if (_.isNil(res.bit.options)) res.bit.options = {}
-      res.bit.options.catchMessage = res.bit.catch
-    }
-    return res.dialogue.addPath(branches, res.bit.options, res.bit.key)
+    let options = _.defaults({ prompt: this.getSends(res.bit) }, res.bit.options)
+    if (res.bit.catch) options.catchMessage = res.bit.catch
+    if (res.bit.exhausted) options.exhaustedMessage = res.bit.exhausted
+    if (res.bit.maxAttempts) options.maxAttempts = res.bit.maxAttempts
+    if (res.bit.timeout) options.timeout = res.bit.timeout
+    if (!_.isUndefined(res.bit.timeoutText)) options.timeoutText = res.bit.timeoutText
+    return res.dialogue.addPath(branches, options, res.bit.key)
+  }
+
+  /**
+   * Rebuild a dialogue's path from its serialised state, without sending the
+   * bit's messages again (e.g. when scene restores a dialogue after restart).
+   *
+   * @param   {Response} res  Hubot Response object (with dialogue)
+   * @param   {Object}   path Serialised path, with bit key and branch keys
+   * @returns {Promise}       Resolves with addPath result
+   */
+  restorePath (res, path) {
+    res.bit = this.getByKey(path.key)
+    this.setupDialogue(res)
+    return this.setupPath(res, path.branches)
   }
 }
 
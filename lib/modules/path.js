@@ -2,6 +2,10 @@
 
 const _ = require('lodash')
 const Base = require('./base')
+const fuzzy = require('../utils/fuzzy')
+const ordinal = require('../utils/ordinal')
+const renderers = require('../utils/renderers')
+const types = require('../utils/types')
 require('../utils/string-to-regex')
 
 /**
@@ -14,14 +18,67 @@ require('../utils/string-to-regex')
  * A matched branch can respond to the user and lay more branches to keep the
  * path open, until finally a branch is matched without any new ones added.
  *
+ * By default, the first branch to match is followed. With `scored` matching,
+ * every branch is tested and the best match followed, ranked by the branch
+ * `priority` option, then the score from a custom `scorer` function (or by
+ * default, the length of text matched), then the order branches were added.
+ *
+ * With `all` matching, the path collects several answers, in any order and
+ * across any number of messages. Every branch still outstanding is tested, and
+ * the path stays open until all the required branches have matched. After a
+ * partial answer, the prompts for outstanding branches are sent again. Results
+ * are collected by branch key, then given to the `completeCallback`.
+ *
+ * Branches with a label are also choices, which the dialogue can present as
+ * buttons or a numbered menu. A reply with the choice's label, number or
+ * ordinal (e.g. "the second one") matches its branch, as well as the branch
+ * condition. With the `menu` option, every branch is a choice, labelled by its
+ * key if not given a label. Choices and the menu text are generated from the
+ * current branches, so they're updated as branches are added.
+ *
+ * Unmatched replies can be limited with `maxAttempts`. When reached, instead of
+ * the catch handler, the path calls an exhausted handler (e.g. to escalate) and
+ * is marked as exhausted, for the dialogue to end.
+ *
+ * With the `fuzzy` option, if nothing matches, branches defined by plain
+ * keywords (e.g. "yes", /cancel|stop/ or a `keywords` option) are compared with
+ * the words in the reply, by edit distance, to tolerate typos. Keywords close
+ * enough to pass the `fuzzyThreshold` match, unless under the `fuzzyConfirm`
+ * level of confidence, then the path asks "did you mean" the keyword and
+ * follows the branch if the reply is yes. The match is the corrected keyword.
+ *
+ * With `fallThrough`, replies that match nothing (without a catch handler) are
+ * flagged on the response instead of counted, so a scene can let them continue
+ * to other listeners (see `Scene.fallThrough`).
+ *
+ * Branch conditions can be a RegExp, or a matcher to plug in other methods of
+ * matching (e.g. keyword sets or an intent classifier). A matcher is either a
+ * function or an object with a `match` method, called with the response and
+ * returning a match, null or a promise resolving either.
+ *
  * @param {Robot}  robot                   Hubot Robot instance
  * @param {array}  [branches]              Array of args for each branch, each containing:<br>
- *                                         - RegExp for listener<br>
+ *                                         - RegExp or matcher for listener<br>
  *                                         - String to send and/or<br>
  *                                         - Function to call on match
  * @param {Object} [options]               Key/val options for config
  * @param {Object} [options.catchMessage]  Message to send via catch handler
  * @param {Object} [options.catchCallback] Function to call within catch handler
+ * @param {number} [options.maxAttempts]   Unmatched replies allowed before exhausted (unlimited if not set)
+ * @param {Object} [options.exhaustedMessage]  Message to send when attempts exhausted
+ * @param {Object} [options.exhaustedCallback] Function to call when attempts exhausted
+ * @param {boolean} [options.fallThrough]  Flag unmatched replies to pass on, if no catch handler
+ * @param {string} [options.matching]      Branch matching strategy: first(default)|scored|all
+ * @param {Function} [options.completeCallback] Called with response and results when all matched
+ * @param {Function} [options.scorer]      Function to score matches, given match, branch and res
+ * @param {string/array} [options.prompt]  Message that presented the path, to send again if returned to
+ * @param {boolean} [options.menu]         Present every branch as a choice (labelled by key if no label)
+ * @param {boolean} [options.fuzzy]        Match keyword branches by edit distance if nothing else matched
+ * @param {number} [options.fuzzyThreshold] Minimum confidence (0-1) for fuzzy match (default 0.6)
+ * @param {number} [options.fuzzyConfirm]  Confidence (0-1) under which fuzzy match is confirmed (default 0.8)
+ * @param {string} [options.fuzzyText]     Asked before keyword to confirm fuzzy match
+ * @param {number} [options.timeout]       Time allowed to reply while path is current (overrides dialogue)
+ * @param {string} [options.timeoutText]   To send on timeout while path is current (overrides dialogue)
  * @param {string} [key]                   Key name for this instance
  *
  * @example <caption>showing branch argument variations</caption>
@@ -36,13 +93,46 @@ require('../utils/string-to-regex')
  *   catchMessage: 'sorry, nothing matched'
  *   catchCallback: () => noMatch()
  * })
+ *
+ * @example <caption>with a matcher function for branch condition</caption>
+ * let choice = new Path(robot, [
+ *   [ (res) => classifier.intent(res.message.text), (res) => reply(res.match.intent) ]
+ * ])
+ *
+ * @example <caption>with scored matching, to prefer the longest match</caption>
+ * let choice = new Path(robot, [
+ *   [ /no/, 'ok, cancelled' ]
+ *   [ /no thanks, maybe later/, 'ok, I will ask later' ]
+ * ], { matching: 'scored' })
+ *
+ * @example <caption>with all matching, to collect answers in any order</caption>
+ * let deploy = new Path(robot, [
+ *   [ /(staging|production)/, { key: 'env', prompt: 'Which environment?' } ],
+ *   [ /v(\d+)/, { key: 'version', prompt: 'Which version?' } ]
+ * ], {
+ *   matching: 'all',
+ *   completeCallback: (res, results) => deployTo(results.env, results.version)
+ * })
 */
 class Path extends Base {
   constructor (robot, ...args) {
     let branches = _.isArray(args[0]) ? args.shift() : false
     super('path', robot, ...args)
+    this.defaults({
+      matching: 'first',
+      fuzzy: false,
+      fuzzyThreshold: 0.6,
+      fuzzyConfirm: 0.8,
+      fuzzyText: 'Did you mean'
+    })
+    if (!_.includes(['first', 'scored', 'all'], this.config.matching)) this.error('Invalid matching strategy')
 
     this.branches = []
+    this.matched = null
+    this.results = {}
+    this.suggestion = null
+    this.attempts = 0
+    this.exhausted = false
     this.closed = true
     if (branches) {
       if (!_.isArray(branches)) this.error('Branches must be Array')
@@ -60,27 +150,87 @@ class Path extends Base {
    * Branch handlers are called by `.match`, if input matches a branch, which
    * then returns the matched handler's return value.
    *
-   * @param {RegExp} regex           Matching pattern (accepts string, will cast as RegExp)
+   * Branch options are kept as attributes of the branch, e.g. a `key` to
+   * identify the branch when the path is serialised.
+   *
+   * With `all` matching, branches don't need a message or callback, their match
+   * is kept in results under the branch key.
+   *
+   * @param {RegExp/Function/Object} condition Matching pattern (accepts string,
+   *                                 will cast as RegExp) or matcher
+   *
    * @param {string/array} [strings] Message text for response on match
    * @param {Function} [callback]    Function called when matched
+   * @param {Object} [options]       Key/val attributes for the branch
+   * @param {string} [options.key]   Key name for the branch
+   * @param {number} [options.priority] Rank for branch in scored matching
+   * @param {string} [options.label] Name for the branch, as a choice for the path
+   * @param {boolean} [options.required] Must match to complete, with all matching (default true)
+   * @param {string/array} [options.prompt] To ask for the branch while outstanding, with all matching
+   * @param {array} [options.keywords] Words to match by edit distance, with fuzzy option
+   * @param {Function} [options.undo] Called with response if dialogue goes back
+   *                                  over the branch, to revert its effects
    *
    * @example <caption>with regex, message and callback</caption>
    * path.addBranch(/hello/i, 'hello there', helloCallback)
   */
-  addBranch (regex, ...args) {
-    let callback, strings
-    if (_.isString(regex) && _.isRegExp(regex.toRegExp())) regex = regex.toRegExp()
-    if (!_.isRegExp(regex)) this.error(`Invalid RegExp for branch: ${regex}`)
+  addBranch (condition, ...args) {
+    let callback, strings, options
+    if (_.isString(condition) && _.isRegExp(condition.toRegExp())) condition = condition.toRegExp()
+    const matcher = this.getMatcher(condition)
     if (_.isString(args[0]) || _.isArray(args[0])) strings = args.shift()
     if (_.isFunction(args[0])) callback = args.shift()
-    if ((strings == null) && (callback == null)) this.error('Missing args for branch')
-    this.branches.push({
-      regex: regex,
-      handler: this.getHandler(strings, callback)
-    })
+    if (_.isPlainObject(args[0])) options = args.shift()
+    if ((strings == null) && (callback == null) && this.config.matching !== 'all') {
+      this.error('Missing args for branch')
+    }
+    const branch = { matcher, handler: this.getHandler(strings, callback) }
+    if (_.isRegExp(condition)) branch.regex = condition
+    this.branches.push(_.defaults(branch, options))
     this.closed = false // path is open as long as branches are added
   }
 
+  /**
+   * Get function to test a response against a branch condition.
+   *
+   * RegExp conditions are matched against the message text. Matcher functions
+   * (or objects with a match method) are called with the response.
+   *
+   * @param  {RegExp/Function/Object} condition Branch condition
+   * @return {Function}                         Called with response to match
+   */
+  getMatcher (condition) {
+    if (_.isRegExp(condition)) return (res) => res.message.text.match(condition)
+    if (_.isFunction(condition)) return condition
+    if (_.isObject(condition) && _.isFunction(condition.match)) {
+      return (res) => condition.match(res)
+    }
+    this.error(`Invalid condition for branch: ${condition}`)
+  }
+
+  /**
+   * Cast the result of a matcher in the shape of a RegExp match, so handlers
+   * can use it the same way, regardless of the branch condition.
+   *
+   * Arrays are returned as is. Strings become the matched text and any other
+   * truthy result matches the whole message text. Attributes of an object
+   * result are assigned to the match, e.g. to provide an intent and entities.
+   *
+   * @param  {*}        result Value returned by matcher
+   * @param  {Response} res    Hubot Response object
+   * @return {Array}           Match array (or null if result is falsey)
+   */
+  castMatch (result, res) {
+    if (!result) return null
+    if (_.isArray(result)) return result
+    const text = res.message.text
+    const match = [(_.isString(result)) ? result : text]
+    match.index = Math.max(text.indexOf(match[0]), 0)
+    match.input = text
+    if (_.isObject(result)) _.assign(match, result)
+    return match
+  }
+
   /**
    * Ready a function to call on a match or catch, sending stirngs and/or doing
    * a callback.
@@ -123,15 +273,244 @@ class Path extends Base {
     } else return false
   }
 
+  /**
+   * Get handler for when unmatched replies reach the max attempts, if
+   * configured with `exhaustedMessage` or `exhaustedCallback`.
+   *
+   * @return {Function} Handler (or false)
+  */
+  exhaustedHandler () {
+    if (this.config.exhaustedMessage || this.config.exhaustedCallback) {
+      return this.getHandler(this.config.exhaustedMessage, this.config.exhaustedCallback)
+    } else return false
+  }
+
+  /**
+   * Find branches matching the text of a response, in order of preference.
+   *
+   * With `first` matching, stops testing at the first match. With `scored`,
+   * tests every branch and sorts matches by priority, then score, then order.
+   * With `all`, tests every branch without a result yet.
+   *
+   * @param  {Response} res Hubot Response object
+   * @return {Promise}      Resolves with candidate objects (branch, match, score)
+   */
+  candidates (res) {
+    const test = (branch) => Promise.resolve(
+      this.matchChoice(branch, res) || branch.matcher(res)
+    ).then((result) => {
+      const match = this.castMatch(result, res)
+      return (match) ? { branch, match, score: this.score(match, branch, res) } : null
+    })
+    const tested = (this.config.matching === 'first')
+      ? this.branches.reduce((found, branch) => found.then((candidates) => {
+        return (candidates.length) ? candidates : test(branch).then((c) => _.compact([c]))
+      }), Promise.resolve([]))
+      : Promise.all(this.pending().map(test))
+    return tested.then((candidates) => _.orderBy(_.compact(candidates), [
+      (candidate) => candidate.branch.priority || 0,
+      'score'
+    ], ['desc', 'desc'])) // order is stable, so ties keep branch order
+  }
+
+  /**
+   * Get keywords for fuzzy matching a branch, from its keywords option, or its
+   * RegExp if it only contains alternate plain words (e.g. /yes|yeah/i).
+   *
+   * @param  {Object} branch Branch object
+   * @return {array}         Keywords (empty if not a keyword branch)
+   */
+  getKeywords (branch) {
+    if (branch.keywords) return _.castArray(branch.keywords)
+    if (!branch.regex) return []
+    const source = branch.regex.source.replace(/^\^|\$$|\\b/g, '').replace(/^\((\?:)?(.*)\)$/, '$2')
+    if (!/^[\w' -]+(\|[\w' -]+)*$/.test(source)) return []
+    return _.compact(source.split('|').map((word) => _.trim(word)))
+  }
+
+  /**
+   * Find the branch with a keyword closest to words in the response, within
+   * the fuzzy threshold. Match is cast with the keyword as the matched text,
+   * with the `term` found in the message and the `confidence`.
+   *
+   * @param  {Response} res Hubot Response object
+   * @return {Object}       Candidate object (branch, match, score), or null
+   */
+  fuzzyCandidate (res) {
+    if (!this.config.fuzzy) return null
+    const found = _.maxBy(_.compact(this.branches.map((branch) => {
+      const keywords = this.getKeywords(branch)
+      const closest = (keywords.length) ? fuzzy.closest(keywords, res.message.text) : null
+      return (closest) ? _.assign({ branch }, closest) : null
+    })), 'confidence')
+    if (!found || found.confidence < this.config.fuzzyThreshold) return null
+    const match = this.castMatch({ term: found.term, confidence: found.confidence }, res)
+    match[0] = found.keyword
+    return { branch: found.branch, match, score: found.confidence }
+  }
+
+  /**
+   * Ask to confirm a fuzzy match, keeping it as the path's suggestion until
+   * the next reply.
+   *
+   * Emits `suggest` with the branch key, the keyword and term in the message.
+   *
+   * @param  {Response} res       Hubot Response object
+   * @param  {Object}   candidate Fuzzy match candidate
+   * @return {Promise}            Resolves when sent
+   */
+  suggest (res, candidate) {
+    this.suggestion = candidate
+    this.emit('suggest', res, {
+      key: candidate.branch.key,
+      keyword: candidate.match[0],
+      term: candidate.match.term
+    })
+    return this.getHandler(`${this.config.fuzzyText} "${candidate.match[0]}"?`)(res)
+  }
+
+  /**
+   * Process reply to a suggestion, following its branch if confirmed, counting
+   * an unmatched attempt if denied, or matching as usual for any other reply.
+   *
+   * @param  {Response} res Hubot Response object
+   * @return {Promise}      Resolves with handler result
+   */
+  matchSuggestion (res) {
+    const candidate = this.suggestion
+    this.suggestion = null
+    const confirmed = types.yesno.parse(res.message.text)
+    if (confirmed === true) return this.follow(res, [candidate])
+    if (confirmed === false) {
+      res.match = null
+      return this.unmatched(res)
+    }
+    return this.match(res)
+  }
+
+  /**
+   * Get branches without a result yet (all branches, unless using all matching).
+   *
+   * @return {array} Branch objects
+   */
+  pending () {
+    if (this.config.matching !== 'all') return this.branches
+    return _.reject(this.branches, (branch) => _.has(this.results, this.resultKey(branch)))
+  }
+
+  /**
+   * Get required branches without a result yet, for all matching.
+   *
+   * @return {array} Branch objects
+   */
+  outstanding () {
+    return _.reject(this.pending(), ['required', false])
+  }
+
+  /**
+   * Get key for a branch's result, using the branch key or its index.
+   *
+   * @param  {Object} branch Branch object
+   * @return {string}        Key for results
+   */
+  resultKey (branch) {
+    return branch.key || `${_.indexOf(this.branches, branch)}`
+  }
+
+  /**
+   * Get value for a branch's result from its match, either the value attribute
+   * (e.g. from a matcher object), the first captured group or the whole match.
+   *
+   * @param  {Array} match Match array
+   * @return {*}           Result value
+   */
+  resultValue (match) {
+    if (_.has(match, 'value')) return match.value
+    return (_.isNil(match[1])) ? match[0] : match[1]
+  }
+
+  /**
+   * Get label for a branch as a choice, or its key if presenting a menu.
+   *
+   * @param  {Object} branch Branch object
+   * @return {string}        Label (or undefined if not a choice)
+   */
+  getLabel (branch) {
+    return branch.label || ((this.config.menu) ? branch.key : undefined)
+  }
+
+  /**
+   * Get branches with labels, as choices, each with the label, value (choice
+   * number, to send as reply) and branch key.
+   *
+   * @return {array} Choice objects
+   */
+  choices () {
+    return _.filter(this.branches, (branch) => this.getLabel(branch)).map((branch, index) => ({
+      label: this.getLabel(branch),
+      value: `${index + 1}`,
+      key: branch.key
+    }))
+  }
+
+  /**
+   * Get the prompt with a numbered list of choices, from the current branches.
+   *
+   * @return {string} Menu text
+   */
+  menu () {
+    const prompt = _.castArray(this.config.prompt || []).join('\n')
+    return renderers.text(prompt, this.choices())
+  }
+
+  /**
+   * Test a response against a branch's choice label, number or ordinal, e.g.
+   * from a typed reply or button callback.
+   *
+   * @param  {Object}   branch Branch to test
+   * @param  {Response} res    Hubot Response object
+   * @return {string}          Message text if matched choice (or null)
+   */
+  matchChoice (branch, res) {
+    const label = this.getLabel(branch)
+    if (!label) return null
+    const text = _.trim(res.message.text).toLowerCase()
+    if (text === label.toLowerCase()) return res.message.text
+    const number = _.indexOf(_.filter(this.branches, (branch) => this.getLabel(branch)), branch) + 1
+    if (ordinal(text) === number) return res.message.text
+    return null
+  }
+
+  /**
+   * Score a branch match, using configured scorer or length of matched text.
+   *
+   * @param  {Array}    match  Result of matching text with branch regex
+   * @param  {Object}   branch The matched branch
+   * @param  {Response} res    Hubot Response object
+   * @return {number}          Score for ranking the match
+   */
+  score (match, branch, res) {
+    if (_.isFunction(this.config.scorer)) return this.config.scorer(match, branch, res)
+    return match[0].length
+  }
+
   /**
    * Attempt to match an incoming response object. Overrides the response match
    * (from the more general dialogue listener) even if null.
    *
    * Matching closes the path and fires the handler which may add branches,
    * re-opening it. Without a match, it will attempt to use a catch handler
-   * (which may be null). The matched branch or catch handler method may return
+   * (which may be null), counting the unmatched attempt. If attempts reach the
+   * configured max, the path is exhausted and calls the exhausted handler
+   * (if any) instead. The matched branch or catch handler method may return
    * a promise or not, the response is returned wrapped in a promise either way.
    *
+   * Matching is asynchronous, because branch matchers may return a promise.
+   *
+   * Match event is emitted with the candidates that matched (only the first,
+   * unless using scored matching) to show which were passed over. The followed
+   * branch is kept as `matched` (or null if none).
+   *
    * @param  {Response} res Hubot Response object
    * @return {Promise}      Resolves with matched/catch branch handler result
    *
@@ -143,24 +522,147 @@ class Path extends Base {
    * robot.hear(/door/, (res) => choice.match(res))
   */
   match (res) {
-    let handler, handled
-    const catchHandler = this.catchHandler()
-    const matchedBranch = _.find(this.branches, function (branch) {
-      res.match = res.message.text.match(branch.regex)
-      return res.match // truthy / falsey
+    if (this.config.matching === 'all') return this.matchAll(res)
+    if (this.suggestion) return this.matchSuggestion(res)
+    return this.candidates(res).then((candidates) => {
+      if (candidates.length) return this.follow(res, candidates)
+      const candidate = this.fuzzyCandidate(res)
+      this.matched = null
+      if (candidate && candidate.score < this.config.fuzzyConfirm) {
+        res.match = null
+        return this.suggest(res, candidate)
+      }
+      if (candidate) return this.follow(res, [candidate])
+      res.match = null
+      return this.unmatched(res)
+    })
+  }
+
+  /**
+   * Follow the first of the matched candidates, closing the path and calling
+   * the branch handler with the match.
+   *
+   * @param  {Response} res        Hubot Response object
+   * @param  {array}    candidates Candidate objects (branch, match, score)
+   * @return {Promise}             Resolves with branch handler result
+  */
+  follow (res, candidates) {
+    const matched = _.head(candidates)
+    res.match = matched.match
+    this.matched = matched.branch
+    this.attempts = 0
+    this.closed = true
+    this.emitMatch(res, candidates)
+    return matched.branch.handler(res)
+  }
+
+  /**
+   * Match a response against all pending branches, for all matching. Results
+   * are kept from each matched branch, then its handler called with the match.
+   *
+   * When no required branches are outstanding, the path closes and emits
+   * `complete` with the results, resolving with the complete callback result.
+   * Until then, the prompts for outstanding branches are sent (if any) and the
+   * matched branch is null, so the dialogue keeps the path open.
+   *
+   * @param  {Response} res Hubot Response object
+   * @return {Promise}      Resolves with handler results (merged) or complete callback result
+  */
+  matchAll (res) {
+    return this.candidates(res).then((candidates) => {
+      this.matched = null
+      if (!candidates.length) {
+        res.match = null
+        return this.unmatched(res)
+      }
+      this.attempts = 0
+      this.emitMatch(res, candidates)
+      return candidates.reduce((handled, candidate) => handled.then((results) => {
+        this.results[this.resultKey(candidate.branch)] = this.resultValue(candidate.match)
+        res.match = candidate.match
+        return candidate.branch.handler(res).then((result) => _.merge(results, result))
+      }), Promise.resolve({})).then((result) => {
+        const outstanding = this.outstanding()
+        if (outstanding.length) {
+          this.emit('outstanding', res, { keys: outstanding.map((branch) => this.resultKey(branch)) })
+          const prompts = _.flatMap(outstanding, (branch) => _.compact(_.castArray(branch.prompt)))
+          return (prompts.length) ? this.getHandler(prompts)(res).then(() => result) : result
+        }
+        this.closed = true
+        this.matched = _.last(candidates).branch
+        this.emit('complete', res, this.results)
+        if (_.isFunction(this.config.completeCallback)) {
+          return this.config.completeCallback(res, this.results)
+        }
+        return result
+      })
     })
-    if (matchedBranch) handler = matchedBranch.handler
-    if (handler) {
-      this.closed = true
-      this.emit('match', res)
-      handled = handler(res)
+  }
+
+  /**
+   * Emit match event with candidates that matched, to show which were passed
+   * over (or for all matching, which were matched together).
+   *
+   * @param {Response} res        Hubot Response object
+   * @param {array}    candidates Candidate objects (branch, match, score)
+  */
+  emitMatch (res, candidates) {
+    this.emit('match', res, {
+      candidates: candidates.map((candidate) => ({
+        index: _.indexOf(this.branches, candidate.branch),
+        key: candidate.branch.key,
+        match: candidate.match[0],
+        score: candidate.score
+      }))
+    })
+  }
+
+  /**
+   * Count an unmatched attempt, calling the exhausted handler if attempts reach
+   * the max, otherwise the catch handler (if any).
+   *
+   * With `fallThrough`, a reply without a catch handler isn't an attempt, it's
+   * flagged for the scene to pass on to other listeners.
+   *
+   * @param  {Response} res Hubot Response object
+   * @return {Promise}      Resolves with handler result (or undefined if none)
+  */
+  unmatched (res) {
+    const catchHandler = this.catchHandler()
+    if (this.config.fallThrough && !catchHandler) {
+      res.fallThrough = true
+      this.emit('fallthrough', res)
+      return Promise.resolve()
+    }
+    this.attempts++
+    if (this.config.maxAttempts && this.attempts >= this.config.maxAttempts) {
+      const exhaustedHandler = this.exhaustedHandler()
+      this.exhausted = true
+      this.emit('exhausted', res, { attempts: this.attempts })
+      if (exhaustedHandler) return exhaustedHandler(res)
     } else if (catchHandler) {
       this.emit('catch', res)
-      handled = catchHandler(res)
+      return catchHandler(res)
     } else {
       this.emit('mismatch', res)
     }
-    return Promise.resolve(handled)
+    return Promise.resolve()
+  }
+
+  /**
+   * Get the path's state as plain attributes, to store and rebuild later.
+   *
+   * Branches are given by their key, so they can only be rebuilt if added with
+   * a key option (e.g. by an outline, using the bit key).
+   *
+   * @return {Object} Path key, closed status and branch keys
+   */
+  serialize () {
+    return {
+      key: this.key,
+      closed: this.closed,
+      branches: _.map(this.branches, 'key')
+    }
   }
 }
 
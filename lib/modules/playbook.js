@@ -1,12 +1,15 @@
 'use strict'
 
 const _ = require('lodash')
+const crypto = require('crypto')
 const Dialogue = require('./dialogue')
 const Scene = require('./scene')
 const Director = require('./director')
 const Transcript = require('./transcript')
 const Outline = require('./outline')
+const Form = require('./form')
 const improv = require('./improv')
+const createResponse = require('../utils/response')
 
 let instance
 
@@ -17,6 +20,20 @@ let instance
  *
  * Uses singleton pattern to make sure only one Playbook is created when used
  * in multiple script files loaded by the same Hubot.
+ *
+ * Scenes created while Playbook is used by the robot share one receive
+ * middleware, which arbitrates between them. Scenes are tried in order of their
+ * `priority` option (highest first, then in order created), so when the same
+ * participant is engaged in more than one scene, the highest priority scene
+ * gets their messages. Unless it lets them fall through, lower priority scenes
+ * and other listeners don't.
+ *
+ * With `exclusive` arbitration, participants can only be engaged in one scene
+ * at a time. Entering another scene is denied while they're engaged, unless the
+ * scene they're in allows interrupts (see `Scene.interrupt`).
+ *
+ * `arbitration.exclusive` can be set globally with environment var
+ * `PLAYBOOK_EXCLUSIVE_SCENES`
 */
 
 class Playbook {
@@ -27,11 +44,16 @@ class Playbook {
       this.directors = []
       this.transcripts = []
       this.outlines = []
+      this.forms = []
+      this.arbitration = {
+        exclusive: process.env.PLAYBOOK_EXCLUSIVE_SCENES === 'true'
+      }
       this.Scene = Scene
       this.Dialogue = Dialogue
       this.Director = Director
       this.Transcript = Transcript
       this.Outline = Outline
+      this.Form = Form
       this.improv = improv
       instance = this
     }
@@ -51,10 +73,196 @@ class Playbook {
     this.robot.playbook = this
     this.log = this.robot.logger
     this.log.debug(`Playbook using ${this.robot.name} bot`)
+    this.robot.receiveMiddleware((c, n, d) => this.middleware(c, n, d))
     if (improvise) this.improvise()
+    this.robot.brain.on('loaded', () => this.restore().catch((err) => {
+      this.log.error(`Playbook failed to restore dialogues: ${err.message}`)
+    }))
+    this.robot.brain.on('save', () => this.save())
+    return this
+  }
+
+  /**
+   * Configure how scenes are arbitrated.
+   *
+   * @param  {Object}   [options]           Key/val options for arbitration
+   * @param  {boolean}  [options.exclusive] Participants can only be in one scene at a time
+   * @return {Playbook}                     Self for chaining
+  */
+  arbitrate (options = {}) {
+    _.assign(this.arbitration, _.pick(options, ['exclusive']))
     return this
   }
 
+  /**
+   * Shared receive middleware for scenes, passing each message to scenes in
+   * order of priority, until one routes it to a dialogue.
+   *
+   * @param  {Object}   context Middleware context (with response)
+   * @param  {Function} next    Continue to next middleware
+   * @param  {Function} done    Complete middleware
+   *
+   * @private
+  */
+  middleware (context, next, done) {
+    const scenes = this.prioritised()
+    const step = (index, doneFunc) => {
+      if (index >= scenes.length) return next(doneFunc)
+      scenes[index].middleware(context, (newDoneFunc) => {
+        step(index + 1, newDoneFunc || doneFunc)
+      }, doneFunc)
+    }
+    step(0, done)
+  }
+
+  /**
+   * Get scenes in order of priority (highest first, then in order created).
+   *
+   * @return {Scene[]} Sorted scenes
+  */
+  prioritised () {
+    return _.orderBy(this.scenes, [(scene) => scene.config.priority], ['desc'])
+  }
+
+  /**
+   * Add scene to be arbitrated. Called by scenes created while Playbook is used
+   * by the robot, so they share its receive middleware.
+   *
+   * Adds enter middleware to deny participants engaged in another scene, when
+   * arbitration is exclusive.
+   *
+   * @param  {Scene} scene Scene instance
+   * @return {Scene}       The added scene
+  */
+  addScene (scene) {
+    if (_.includes(this.scenes, scene)) return scene
+    this.scenes.push(scene)
+    scene.registerMiddleware((context, next, done) => {
+      if (!this.arbitration.exclusive) return next(done)
+      this.engagedScenes(context.response).then((scenes) => {
+        const others = _.reject(scenes, (other) => other === scene || other.config.interrupt)
+        if (_.isEmpty(others)) return next(done)
+        this.log.info(`Denied ${scene.id}, participants engaged in ${_.map(others, 'id').join(', ')}`)
+        done()
+      })
+    })
+    return scene
+  }
+
+  /**
+   * Find scenes where participants of a message are engaged, by each scene's
+   * participant key.
+   *
+   * @param  {Response} res Hubot Response object
+   * @return {Promise}      Resolves with array of scenes
+  */
+  engagedScenes (res) {
+    return Promise.all(this.scenes.map((scene) => {
+      return Promise.resolve().then(() => scene.whoSpeaks(res))
+      .then((participants) => scene.inDialogue(participants))
+      .catch(() => false)
+    })).then((engaged) => _.filter(this.scenes, (scene, index) => engaged[index]))
+  }
+
+  /**
+   * Store state of engaged dialogues for scenes, e.g. to update remaining time.
+   * Called whenever brain data is saved.
+  */
+  save () {
+    _.invokeMap(this.scenes, 'save')
+  }
+
+  /**
+   * Restore dialogues stored by scenes, e.g. before a restart. Called whenever
+   * brain data is loaded, participants already engaged are ignored.
+   *
+   * @return {Promise} Resolves with array of restored dialogues
+  */
+  restore () {
+    return Promise.all(_.invokeMap(this.scenes, 'restore'))
+    .then((restored) => _.flatten(restored))
+  }
+
+  /**
+   * Add route for button callbacks from choices presented by dialogues. The
+   * chosen value is received as a message from the user, so it matches the
+   * same branch as typing it.
+   *
+   * Accepts JSON with user (with ID), room and value attributes, or a Slack
+   * interactive message payload.
+   *
+   * Choices are answered as the given user, so they must be verified. With a
+   * token configured, the body (or Slack payload) must include it, e.g. the
+   * Slack app's verification token. Without one, only local requests (e.g.
+   * from a proxy that verifies them) are accepted.
+   *
+   * `token` can be set globally with environment var `PLAYBOOK_CHOICE_TOKEN`
+   *
+   * @param  {string} [route]         Path for robot router to post to
+   * @param  {Object} [options]       Key/val options for route
+   * @param  {string} [options.token] Token that requests must include
+   * @return {Playbook}               Self for chaining
+  */
+  listenChoices (route = '/hubot/playbook/choice', options = {}) {
+    const token = options.token || process.env.PLAYBOOK_CHOICE_TOKEN
+    this.robot.router.post(route, (req, res) => {
+      let choice
+      try {
+        choice = this.parseChoice(req.body)
+      } catch (err) {
+        choice = null
+      }
+      if (_.isNil(choice)) return res.status(400).send('Invalid choice')
+      if (!this.verifyChoice(req, choice, token)) return res.status(403).send('Unverified choice')
+      const message = createResponse(this.robot, choice.user, choice.room, choice.value).message
+      this.robot.receive(message)
+      res.send('OK')
+    })
+    return this
+  }
+
+  /**
+   * Get user, room and value from body of a choice callback, with token if
+   * included.
+   *
+   * @param  {Object} body Request body, as JSON or with Slack payload
+   * @return {Object}      Choice attributes (or null if invalid)
+  */
+  parseChoice (body = {}) {
+    let choice = body
+    if (_.isString(body.payload)) {
+      const payload = JSON.parse(body.payload)
+      choice = {
+        user: payload.user,
+        room: _.get(payload, 'channel.id'),
+        value: _.get(payload, 'actions[0].value')
+      }
+      if (_.isString(payload.token)) choice.token = payload.token
+    }
+    if (!_.has(choice, 'user.id') || !_.isString(choice.value)) return null
+    return _.pick(choice, ['user', 'room', 'value', 'token'])
+  }
+
+  /**
+   * Test if a choice callback request can be trusted, by the token it includes
+   * (if one is required), or otherwise if it's from the local host.
+   *
+   * @param  {Object} req      Request from robot router
+   * @param  {Object} choice   Choice attributes (see `parseChoice`)
+   * @param  {string} [token]  Token required in choice
+   * @return {boolean}         Request is verified
+  */
+  verifyChoice (req, choice, token) {
+    if (_.isNil(token)) {
+      const address = req.ip || _.get(req, 'connection.remoteAddress')
+      return _.includes(['127.0.0.1', '::1', '::ffff:127.0.0.1'], address)
+    }
+    if (!_.isString(choice.token)) return false
+    const given = Buffer.from(choice.token)
+    const expected = Buffer.from(token)
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected)
+  }
+
   /**
    * Create stand-alone dialogue (not within scene).
    *
@@ -76,8 +284,7 @@ class Playbook {
   */
   scene (...args) {
     const scene = new this.Scene(this.robot, ...args)
-    this.scenes.push(scene)
-    return scene
+    return this.addScene(scene)
   }
 
   /**
@@ -89,10 +296,8 @@ class Playbook {
    * @return {Promise}         Resolves with final enter middleware context
   */
   sceneEnter (res, ...args) {
-    const scene = new this.Scene(this.robot, ...args)
-    const processEnter = scene.enter(res, ...args)
-    this.scenes.push(scene)
-    return processEnter
+    const scene = this.addScene(new this.Scene(this.robot, ...args))
+    return scene.enter(res, ...args)
   }
 
   /**
@@ -217,6 +422,18 @@ class Playbook {
     this.outlines.push(outline)
     return outline
   }
+
+  /**
+   * Create new Form, to fill in dialogues.
+   *
+   * @param  {*}  [args] Form constructor args (fields, options, key)
+   * @return {Form}      New Form instance
+   */
+  form (...args) {
+    const form = new this.Form(this.robot, ...args)
+    this.forms.push(form)
+    return form
+  }
 }
 
 module.exports = new Playbook()
@@ -4,8 +4,59 @@ const _ = require('lodash')
 const Base = require('./base')
 const Dialogue = require('./dialogue')
 const Middleware = require('../utils/middleware')
+const createResponse = require('../utils/response')
+const thread = require('../utils/thread')
 require('../utils/string-to-regex')
 
+/**
+ * Functions to get participants key from a response, for each scope.
+ *
+ * @type {Object}
+ */
+const scopes = {
+  user: (res) => res.message.user.id,
+  private: (res) => res.message.user.id,
+  room: (res) => res.message.room,
+  direct: (res) => `${res.message.user.id}_${res.message.room}`,
+  thread: (res) => _.compact([res.message.room, thread.id(res.message)]).join('_')
+}
+
+/**
+ * Check if a key function returned a promise, to wait for the key.
+ *
+ * @param  {*} key   Key returned by key function
+ * @return {boolean} Key is a promise
+ */
+function isAsync (key) {
+  return !_.isNil(key) && _.isFunction(key.then)
+}
+
+/**
+ * Check and cast a participants key resolved by a key function.
+ *
+ * @param  {*} key   Key returned by key function
+ * @return {string}  Participants key
+ */
+function toKey (key) {
+  if (_.isNil(key)) throw new Error('No participants key for message')
+  return key.toString()
+}
+
+/**
+ * Get a store of scene data in the brain, namespaced under `playbook` to avoid
+ * clashing with other scripts. Created if not already set.
+ *
+ * @param  {Robot}  robot Hubot Robot instance
+ * @param  {string} name  Name of store (e.g. engaged)
+ * @return {Object}       Stored data, to update in place
+ */
+function storage (robot, name) {
+  if (_.isNil(robot.brain.get('playbook'))) robot.brain.set('playbook', {})
+  const data = robot.brain.get('playbook')
+  if (_.isNil(data[name])) data[name] = {}
+  return data[name]
+}
+
 /**
  * Scenes conduct participation in dialogue. They use listeners to enter an
  * audience into a new dialogue with the bot.
@@ -17,11 +68,72 @@ require('../utils/string-to-regex')
  * - user - engage the user (in any room)
  * - room - engage the whole room
  * - direct - engage the user in that room only
+ * - private - engage the user, sending direct messages
+ * - thread - engage whoever replies in a thread (several can run in one room)
+ *
+ * Participants can instead be keyed by a custom function, given the response
+ * and returning the key (or a promise resolving with it), e.g. to engage a team
+ * or the ticket mentioned in a message. The scope still applies to how replies
+ * are sent. The key is resolved when entering and kept by the dialogue, to use
+ * for exit, handoff and storage, and given to Director and Transcript.
+ *
+ * Engaged dialogues may be paused (see `Dialogue.pause`), so they're still
+ * engaged but not active. Use `activeDialogues` and `pausedDialogues` to get
+ * engaged dialogues by status.
+ *
+ * Engaged dialogues can be handed off to a person, e.g. when the bot can't
+ * help. The dialogue is paused and an operator room is sent the transcript so
+ * far. An operator can then claim the session (with the participants ID) to
+ * relay messages both ways, until they release it, handing back to the bot at
+ * the same path. Participants stay engaged throughout, so other listeners
+ * aren't triggered by the relayed messages. Participants can still cancel the
+ * dialogue. If a handoff has no activity (claim or messages either way) within
+ * the `handoffTimeout`, participants are sent `handoffTimeoutText` and their
+ * dialogue ends.
+ *
+ * By default, engaged participants are isolated from other listeners, until the
+ * dialogue ends. With `fallThrough`, replies that match no branch (and no catch)
+ * continue to other listeners instead, so participants can use other commands
+ * mid-dialogue. With `interrupt`, if their reply enters another scene, the
+ * dialogue is paused while that scene runs and resumed after it exits, sending
+ * the prompt again.
+ *
+ * Scenes can limit how many participants are engaged at once with `maxEngaged`,
+ * e.g. for dialogues that need a person or a slow system. When full, entering
+ * participants are added to a queue and told their position, then entered in
+ * turn as others exit. Their `enter` promise resolves once entered (or rejects
+ * if they leave the queue).
+ *
+ * Entry can also be throttled, to stop participants re-entering repeatedly,
+ * with a `cooldown` after they exit and/or `maxEntries` within an `entryWindow`
+ * of time. Throttled participants are sent `throttledText` instead. Entry times
+ * are kept in the brain for scenes with a key, to survive restarts (otherwise
+ * only in memory). Dialogues restored after restart don't count as entries.
+ *
+ * Scenes with a key will store the state of engaged dialogues in the brain, so
+ * they can be restored after restart (only outline dialogues can be rebuilt).
  *
  * @param {Robot} robot                   Hubot Robot instance
  * @param {Object} [options]              Key/val options for config
- * @param {string} [options.scope]        How to address participants: user(default)|room|direct
+ * @param {string} [options.scope]        How to address participants: user(default)|room|direct|private|thread
+ * @param {Function} [options.participantKey] Get participants key from response (may return promise)
+ * @param {number} [options.priority]     Order scenes get messages in, if Playbook used (highest first)
+ * @param {number} [options.maxEngaged]   Participants engaged at once, others wait in queue (unlimited if not set)
+ * @param {string} [options.queueText]    Sent with position when participants are queued
+ * @param {number} [options.cooldown]     Time after exit before participants can enter again (in miliseconds)
+ * @param {number} [options.maxEntries]   Entries allowed for participants within entry window
+ * @param {number} [options.entryWindow]  Time to count entries within (in miliseconds, default 1 minute)
+ * @param {string} [options.throttledText] Sent when entry is throttled, set null to not send
+ * @param {boolean} [options.fallThrough] Let unmatched replies continue to other listeners
+ * @param {boolean} [options.interrupt]   Pause dialogue while replies enter another scene (implies fallThrough)
  * @param {boolean} [options.sendReplies] Toggle replying/sending (prefix message with "@user")
+ * @param {string} [options.operatorRoom] Room to notify of handoffs and relay operator messages
+ * @param {string} [options.claimCommand] Operator command to claim a handoff (default "claim")
+ * @param {string} [options.releaseCommand] Operator command to hand back to the bot (default "release")
+ * @param {string} [options.handoffText]  Sent to participants when handed off, set null to not send
+ * @param {string} [options.claimText]    Sent before operator name when claimed, set null to not send
+ * @param {number} [options.handoffTimeout] Time to allow without handoff activity (in miliseconds, null for no limit)
+ * @param {string} [options.handoffTimeoutText] Sent to participants when handoff times out, set null to not send
  * @param {string} [key]                  Key name for this instance
  *
  * @example
@@ -30,7 +142,24 @@ require('../utils/string-to-regex')
 class Scene extends Base {
   constructor (...args) {
     super('scene', ...args)
-    this.defaults({ scope: 'user' })
+    this.defaults({
+      scope: 'user',
+      priority: 0,
+      operatorRoom: process.env.SCENE_OPERATOR_ROOM || null,
+      claimCommand: process.env.SCENE_CLAIM_COMMAND || 'claim',
+      releaseCommand: process.env.SCENE_RELEASE_COMMAND || 'release',
+      handoffText: process.env.SCENE_HANDOFF_TEXT || 'Connecting you with someone who can help...',
+      claimText: process.env.SCENE_CLAIM_TEXT || 'You are now chatting with',
+      handoffTimeout: parseInt(process.env.SCENE_HANDOFF_TIMEOUT || 600000),
+      handoffTimeoutText: process.env.SCENE_HANDOFF_TIMEOUT_TEXT ||
+        'Sorry, nobody is available to help right now. Please try again later.',
+      maxEngaged: null,
+      queueText: process.env.SCENE_QUEUE_TEXT || 'Please wait, your position in the queue is',
+      cooldown: null,
+      maxEntries: null,
+      entryWindow: 60000,
+      throttledText: process.env.SCENE_THROTTLED_TEXT || 'Please wait a moment before trying that again.'
+    })
 
     // setup internal middleware stack for processing entry
     this.enterMiddleware = new Middleware(this)
@@ -38,16 +167,39 @@ class Scene extends Base {
     // by default, prefix @user in room scene (to identify target recipient)
     if (this.config.scope === 'room') this.defaults({ sendReplies: true })
     if (this.config.scope === 'private') this.defaults({ sendDirect: true })
+    if (this.config.scope === 'thread') this.defaults({ sendThreaded: true })
+    if (this.config.interrupt) this.defaults({ fallThrough: true })
+
+    if (!_.includes(_.keys(scopes), this.config.scope)) this.error('invalid scene scope')
+    const { participantKey } = this.config
+    if (!_.isNil(participantKey) && !_.isFunction(participantKey)) this.error('invalid participant key')
 
-    const validTypes = [ 'room', 'user', 'direct', 'private' ]
-    if (!_.includes(validTypes, this.config.scope)) this.error('invalid scene scope')
+    // entry limits run last, after any access control middleware
+    this.limits = []
+    if (this.config.cooldown) this.registerLimit((c, n, d) => this.cooldown(c, n, d))
+    if (this.config.maxEntries) this.registerLimit((c, n, d) => this.rateLimit(c, n, d))
+    if (this.config.maxEngaged) this.registerLimit((c, n, d) => this.capacity(c, n, d))
 
     this.engaged = {}
+    this.handoffs = {}
+    this.operators = {}
+    this.interruptions = {}
+    this.queue = []
+    this.reserved = []
+    this.entries = {}
     this.middlewareCallback = this.receiveMiddleware.bind(this)
-    this.robot.receiveMiddleware(this.middlewareCallback)
+
+    // share arbitrated middleware if playbook is used, or receive directly
+    const playbook = this.robot.playbook
+    if (playbook && _.isFunction(playbook.addScene)) playbook.addScene(this)
+    else this.robot.receiveMiddleware(this.middlewareCallback)
 
     this.timeoutListeners = {}
     this.endListeners = {}
+    this.pathListeners = {}
+    this.pauseListeners = {}
+    this.resumeListeners = {}
+    this.interruptListeners = {}
   }
 
   receiveMiddleware (c, n, d) {
@@ -63,18 +215,126 @@ class Scene extends Base {
   */
   middleware (context, next, done) {
     const res = context.response
-    const participants = this.whoSpeaks(res)
 
+    // are incoming messages from operators handling this scenes' handoffs
+    if (this.isOperator(res)) {
+      this.log.debug(`${res.message.user.id} is operator, routing to handoff.`)
+      res.finish()
+      return this.operate(res)
+      .catch((err) => this.log.error(`Failed to process operator message: ${err.message}`))
+      .then(() => done())
+    }
+
+    // only wait for participants key if key function is async
+    let key
+    try {
+      key = this.participantKey(res)
+    } catch (err) {
+      this.log.error(`Failed to identify participants: ${err.message}`)
+      return next(done)
+    }
+    if (isAsync(key)) {
+      return key.then(toKey)
+      .then((participants) => this.route(participants, res, next, done))
+      .catch((err) => {
+        this.log.error(`Failed to identify participants: ${err.message}`)
+        next(done)
+      })
+    }
+    if (_.isNil(key)) {
+      this.log.error('Failed to identify participants: no key for message')
+      return next(done)
+    }
+    return this.route(toKey(key), res, next, done)
+  }
+
+  /**
+   * Route message to engaged participants' dialogue (or operator, if handed
+   * off), otherwise continue to other middleware and listeners. Replies their
+   * dialogue didn't match may fall through, if configured.
+   *
+   * @param  {string}   participants Participants key for message
+   * @param  {Response} res          Hubot Response object
+   * @param  {Function} next         Continue to next middleware
+   * @param  {Function} done         Complete middleware
+   * @return {Promise}               Resolves when dialogue received message
+   *
+   * @private
+  */
+  route (participants, res, next, done) {
     // are incoming messages from this scenes' engaged participants
-    if (participants in this.engaged) {
+    if (participants in this.engaged && !(participants in this.interruptions)) {
       this.log.debug(`${participants} is engaged, routing dialogue.`)
-      res.finish() // don't process regular listeners
-      this.engaged[participants].receive(res) // let dialogue handle the response
-      done() // don't process further middleware.
-    } else {
-      this.log.debug(`${participants} not engaged, continue as normal.`)
-      next(done)
+      const dialogue = this.engaged[participants]
+      const received = (participants in this.handoffs && !dialogue.isCommand('cancel', res))
+        ? this.relayToOperator(participants, res) // let operator handle the response
+        : dialogue.receive(res) // let dialogue handle the response
+      return received
+      .catch((err) => this.log.error(`Dialogue failed to process message: ${err.message}`))
+      .then(() => {
+        if (res.fallThrough) return this.fallThrough(participants, res, next, done)
+        res.finish() // don't process regular listeners
+        done() // don't process further middleware.
+      })
     }
+    this.log.debug(`${participants} not engaged, continue as normal.`)
+    next(done)
+  }
+
+  /**
+   * Continue to other middleware and listeners with a reply the dialogue didn't
+   * match. In interrupt mode, watch for the reply entering another scene.
+   *
+   * @param  {string}   participants Participants key for message
+   * @param  {Response} res          Hubot Response object
+   * @param  {Function} next         Continue to next middleware
+   * @param  {Function} done         Complete middleware
+   *
+   * @private
+  */
+  fallThrough (participants, res, next, done) {
+    this.log.debug(`${participants} reply unmatched, continue as normal.`)
+    if (this.config.interrupt) {
+      if (participants in this.interruptListeners) {
+        this.robot.events.removeListener('enter', this.interruptListeners[participants])
+      }
+      this.interruptListeners[participants] = (scene, enterRes, dialogue) => {
+        if (scene === this || enterRes.message !== res.message) return
+        this.interrupt(participants, scene, dialogue)
+      }
+      this.robot.on('enter', this.interruptListeners[participants])
+    }
+    next(done)
+  }
+
+  /**
+   * Pause engaged participants' dialogue while another scene runs, passing
+   * their messages on meanwhile. Resumes when the other scene's dialogue exits,
+   * sending the prompt again.
+   *
+   * @param  {string}   participants Participants key of dialogue to pause
+   * @param  {Scene}    scene        The other scene entered
+   * @param  {Dialogue} interruption The other scene's dialogue
+   * @return {boolean}               Interrupted (false if not engaged or already paused)
+  */
+  interrupt (participants, scene, interruption) {
+    const dialogue = this.engaged[participants]
+    if (participants in this.interruptListeners) {
+      this.robot.events.removeListener('enter', this.interruptListeners[participants])
+      delete this.interruptListeners[participants]
+    }
+    if (_.isNil(dialogue) || !dialogue.pause()) return false
+    this.interruptions[participants] = scene.on('exit', (exitRes) => {
+      if (exitRes.dialogue !== interruption) return
+      this.robot.events.removeListener('exit', this.interruptions[participants])
+      delete this.interruptions[participants]
+      if (this.engaged[participants] !== dialogue) return
+      this.log.info(`Resuming ${this.config.scope} ${participants} after interruption`)
+      dialogue.resume().then(() => dialogue.sendPrompt())
+    })
+    this.emit('interrupt', interruption.res, dialogue)
+    this.log.info(`Interrupted ${this.config.scope} ${participants} for ${scene.id}`)
+    return true
   }
 
   /**
@@ -126,19 +386,48 @@ class Scene extends Base {
   }
 
   /**
-   * Identify the source of a message relative to the scene scope.
+   * Get participants key for a message, from the custom key function or the
+   * function for the scene scope.
    *
    * @param  {Response} res Hubot Response object
-   * @return {string}       ID of room, user or composite
+   * @return {string|Promise} Key, or promise resolving with key (if async)
+  */
+  participantKey (res) {
+    const keyFn = this.config.participantKey || scopes[this.config.scope]
+    return keyFn(res)
+  }
+
+  /**
+   * Identify the source of a message relative to the scene scope (or custom
+   * key function). Only async key functions give a promise.
+   *
+   * @param  {Response} res   Hubot Response object
+   * @return {string|Promise} ID of room, user, composite or custom key (or
+   *                          promise resolving with key, if async)
   */
   whoSpeaks (res) {
-    switch (this.config.scope) {
-      case 'room': return res.message.room.toString()
-      case 'user':
-      case 'private':
-        return res.message.user.id.toString()
-      case 'direct': return `${res.message.user.id}_${res.message.room}`
+    const key = this.participantKey(res)
+    return (isAsync(key)) ? key.then(toKey) : toKey(key)
+  }
+
+  /**
+   * Get key for participants of a response, as resolved when their dialogue
+   * entered this scene, or from the message if not in dialogue.
+   *
+   * Throws if not in dialogue and the custom key function is async, so the key
+   * should be given instead (e.g. to exit).
+   *
+   * @param  {Response} res Hubot Response object
+   * @return {string}       ID of room, user, composite or custom key
+  */
+  engagedKey (res) {
+    const dialogue = res.dialogue
+    if (dialogue && dialogue.scene === this && !_.isNil(dialogue.participants)) {
+      return dialogue.participants
     }
+    const key = this.participantKey(res)
+    if (_.isNil(key) || isAsync(key)) this.error('Participants key must be given for async key function')
+    return key.toString()
   }
 
   /**
@@ -149,10 +438,26 @@ class Scene extends Base {
     * - next, function to call to continue the pipeline
     * - done, final pipeline function, optionally given as argument to next
     *
+    * Pieces run before the scene's own entry limits (cooldown, rate limit and
+    * capacity), so participants denied entry aren't throttled or queued.
+    *
     * @param  {Function} piece Pipeline function to add to the stack.
    */
   registerMiddleware (piece) {
     this.enterMiddleware.register(piece)
+    _.pull(this.enterMiddleware.stack, ...this.limits).push(...this.limits)
+  }
+
+  /**
+   * Add an entry limit to the end of the enter middleware stack.
+   *
+   * @param  {Function} piece Pipeline function to add to the stack
+   *
+   * @private
+  */
+  registerLimit (piece) {
+    this.enterMiddleware.register(piece)
+    this.limits.push(piece)
   }
 
   /*
@@ -176,9 +481,6 @@ class Scene extends Base {
    * @return {Promise}             Resolves with new Dialogue middleware completes
   */
   enter (res, ...args) {
-    const participants = this.whoSpeaks(res)
-    if (this.inDialogue(participants)) return Promise.reject(new Error('Already engaged'))
-
     // pull-out relevant arguments (any remaining are added to context)
     let callback = (_.isFunction(args[ args.length - 1 ]))
       ? args.pop()
@@ -200,12 +502,79 @@ class Scene extends Base {
 
     // setup context and execute middleware stack, calling processEnter as
     // final step if pipeline is allowed to complete
-    return this.enterMiddleware.execute({
-      response: res,
-      participants: participants,
-      options: options,
-      arguments: args
-    }, next, done)
+    const execute = (participants) => {
+      if (this.inDialogue(participants)) return Promise.reject(new Error('Already engaged'))
+      return this.enterMiddleware.execute({
+        response: res,
+        participants: participants,
+        options: options,
+        arguments: args
+      }, next, done)
+    }
+
+    // only wait for participants key if key function is async
+    let key
+    try {
+      key = this.participantKey(res)
+    } catch (err) {
+      return Promise.reject(err)
+    }
+    if (isAsync(key)) return key.then(toKey).then(execute)
+    if (_.isNil(key)) return Promise.reject(new Error('No participants key for message'))
+    return execute(toKey(key))
+  }
+
+  /**
+   * Start a dialogue with a user or room without a message from them, e.g. from
+   * a cron job, webhook or another user's action. A response is created for the
+   * target, to enter them as if they had spoken, so enter middleware (including
+   * any director) still applies.
+   *
+   * A target string is a user ID if the brain has that user, otherwise a room.
+   * An object can give both, as `user` (ID or attributes) and `room`. Dialogues
+   * started with a room only aren't replying to anyone, so don't send replies.
+   * Users without a known room (given or from the brain) are sent messages with
+   * their ID as the room, which chat adapters deliver as direct messages.
+   *
+   * @param  {string|Object} target     User ID or room, or object with user and/or room
+   * @param  {Object} [options]         Dialogue options merged with scene config
+   * @param  {*} args                   Any additional args for Dialogue constructor
+   * @param  {Function} [callback]      Called if middleware completed entry, with final context
+   * @return {Promise}                  Resolves with final context when middleware completes
+   *
+   * @example <caption>ask an approver, from another user's request</caption>
+   * approvals.start(approverId, (context) => {
+   *   context.dialogue.addPath(`Approve ${name}'s request?`, [
+   *     [ /yes/i, 'Approved!' ],
+   *     [ /no/i, 'Declined.' ]
+   *   ])
+   * })
+  */
+  start (target, ...args) {
+    if (_.isString(target)) {
+      target = (_.has(this.robot.brain.data.users, target)) ? { user: target } : { room: target }
+    }
+    if (!_.isObject(target) || (_.isNil(target.user) && _.isNil(target.room))) {
+      this.error('Start requires user or room target')
+    }
+    let user = target.user
+    if (_.isString(user)) user = this.robot.brain.userForId(user)
+    const configure = (options) => {
+      const callback = (_.isFunction(_.last(args))) ? args.pop() : () => null
+      args.push((context) => {
+        context.dialogue.configure(options)
+        return callback(context)
+      })
+    }
+    if (_.isNil(user)) {
+      user = { room: target.room } // stand-in, not stored as a user
+      configure({ sendReplies: false })
+    }
+    const room = target.room || user.room
+    if (_.isNil(room)) configure({ sendReplies: false })
+    const res = createResponse(this.robot, user, room || user.id)
+    this.log.info(`Starting ${this.config.scope} scene for ${user.id || target.room}`)
+    return this.enter(res, ...args)
   }
 
   /**
@@ -227,19 +596,34 @@ class Scene extends Base {
    */
   processEnter (context, done) {
     let args = Array.from(context.arguments)
+    const participants = context.participants
     const dialogue = new Dialogue(context.response, context.options, ...args)
     dialogue.scene = this
+    dialogue.participants = participants
     if (!dialogue.key && this.key) dialogue.key = this.key
-    this.timeoutListeners[this.whoSpeaks(dialogue.res)] = dialogue.on('timeout', (lastRes, other) => {
+    this.timeoutListeners[participants] = dialogue.on('timeout', (lastRes, other) => {
       return this.exit(lastRes, 'timeout')
     })
-    this.endListeners[this.whoSpeaks(dialogue.res)] = dialogue.on('end', (lastRes) => {
-      let isComplete = (lastRes.dialogue.path) ? lastRes.dialogue.path.closed : false
-      return this.exit(lastRes, `${(isComplete) ? '' : 'in'}complete`)
+    this.endListeners[participants] = dialogue.on('end', (lastRes, status) => {
+      return this.exit(lastRes, status)
+    })
+    this.pathListeners[participants] = dialogue.on('path', () => this.save())
+    this.pauseListeners[participants] = dialogue.on('pause', (lastRes) => {
+      this.save()
+      this.emit('pause', lastRes, dialogue)
+    })
+    this.resumeListeners[participants] = dialogue.on('resume', (lastRes) => {
+      this.save()
+      this.emit('resume', lastRes, dialogue)
     })
-    this.engaged[context.participants] = dialogue
+    this.engaged[participants] = dialogue
+    _.pull(this.reserved, participants)
+    if (this.config.maxEntries && !context.restored) {
+      this.entryRecord(participants).entered = this.recentEntries(participants).concat(Date.now())
+    }
+    this.save()
     this.emit('enter', context.response, dialogue)
-    this.log.info(`Engaging ${this.config.scope} ${context.participants} in dialogue`)
+    this.log.info(`Engaging ${this.config.scope} ${participants} in dialogue`)
     context.dialogue = dialogue
     return process.nextTick(done, context)
   }
@@ -247,13 +631,18 @@ class Scene extends Base {
   /**
    * Disengage participants from dialogue e.g. in case of timeout or error.
    *
-   * @param  {Response} res    Hubot Response object
-   * @param  {string} [status] Some context, for logs
-   * @return {boolean}         Exit success (may fail if already disengaged)
+   * Participants are identified by the key their dialogue was engaged with, or
+   * the key can be given instead of a response (required for async keys, if
+   * the response isn't from their dialogue).
+   *
+   * @param  {Response|string} res Hubot Response object (or participants key)
+   * @param  {string} [status]     Some context, for logs
+   * @return {boolean}             Exit success (may fail if already disengaged)
   */
   exit (res, status = 'unknown') {
-    const participants = this.whoSpeaks(res)
+    const participants = (_.isString(res)) ? res : this.engagedKey(res)
     if (this.engaged[participants] != null) {
+      if (_.isString(res)) res = this.engaged[participants].res
       this.engaged[participants].clearTimeout()
       delete this.engaged[participants]
       // cleanup our event listeners
@@ -263,8 +652,38 @@ class Scene extends Base {
       this.robot.events.removeListener('end', this.endListeners[participants])
       delete this.endListeners[participants]
 
+      this.robot.events.removeListener('path', this.pathListeners[participants])
+      delete this.pathListeners[participants]
+
+      this.robot.events.removeListener('pause', this.pauseListeners[participants])
+      delete this.pauseListeners[participants]
+
+      this.robot.events.removeListener('resume', this.resumeListeners[participants])
+      delete this.resumeListeners[participants]
+
+      if (participants in this.interruptListeners) {
+        this.robot.events.removeListener('enter', this.interruptListeners[participants])
+        delete this.interruptListeners[participants]
+      }
+
+      if (participants in this.interruptions) {
+        this.robot.events.removeListener('exit', this.interruptions[participants])
+        delete this.interruptions[participants]
+      }
+
+      if (participants in this.handoffs) {
+        clearTimeout(this.handoffs[participants].countdown)
+        delete this.handoffs[participants]
+        this.operators = _.omitBy(this.operators, (handling) => handling === participants)
+        this.robot.messageRoom(this.config.operatorRoom, `Handoff for ${participants} ended (${status})`)
+      }
+
+      if (this.config.cooldown) this.entryRecord(participants).exited = Date.now()
+
+      this.save()
       this.emit('exit', res, status)
       this.log.info(`Disengaged ${this.config.scope} ${participants} (${status})`)
+      this.admit()
       return true
     }
     this.log.debug(`Cannot disengage ${participants}, not in scene`)
@@ -277,7 +696,485 @@ class Scene extends Base {
   exitAll () {
     this.log.info(`Disengaging all in ${this.config.scope} scene`)
     _.invokeMap(this.engaged, 'clearTimeout')
+    _.forEach(this.handoffs, (handoff) => clearTimeout(handoff.countdown))
     this.engaged = []
+    this.handoffs = {}
+    this.operators = {}
+    _.forEach(this.interruptListeners, (cb) => this.robot.events.removeListener('enter', cb))
+    _.forEach(this.interruptions, (cb) => this.robot.events.removeListener('exit', cb))
+    this.interruptListeners = {}
+    this.interruptions = {}
+    _.map(this.queue, 'participants').forEach((participants) => this.dequeue(participants))
+    this.reserved = []
+    this.save()
+  }
+
+  /**
+   * Enter middleware to throttle participants that exited within the cooldown.
+   * Added to enter middleware when `cooldown` is configured.
+   *
+   * @param  {Object}   context Enter middleware context
+   * @param  {Function} next    Continue to next middleware
+   * @param  {Function} done    Complete middleware (without entering)
+   *
+   * @private
+  */
+  cooldown (context, next, done) {
+    const exited = this.entryRecord(context.participants).exited
+    if (_.isNil(exited) || Date.now() - exited >= this.config.cooldown) return next(done)
+    this.throttle(context, 'cooldown', done)
+  }
+
+  /**
+   * Enter middleware to throttle participants that reached the max entries
+   * within the entry window. Added when `maxEntries` is configured.
+   *
+   * @param  {Object}   context Enter middleware context
+   * @param  {Function} next    Continue to next middleware
+   * @param  {Function} done    Complete middleware (without entering)
+   *
+   * @private
+  */
+  rateLimit (context, next, done) {
+    const entered = this.recentEntries(context.participants)
+    if (entered.length < this.config.maxEntries) return next(done)
+    this.throttle(context, 'rate', done)
+  }
+
+  /**
+   * Deny entry to throttled participants, replying if configured.
+   *
+   * Emits `throttle` with the response, participants and reason.
+   *
+   * @param  {Object}   context Enter middleware context
+   * @param  {string}   reason  What throttled entry: cooldown|rate
+   * @param  {Function} done    Complete middleware (without entering)
+   *
+   * @private
+  */
+  throttle (context, reason, done) {
+    const { participants, response } = context
+    this.emit('throttle', response, { participants, reason })
+    this.log.info(`Throttled ${this.config.scope} ${participants} entry (${reason})`)
+    if (!_.includes(['', null], this.config.throttledText)) response.reply(this.config.throttledText)
+    done()
+  }
+
+  /**
+   * Get record of entry times for participants, kept in the brain under the
+   * scene key, in `playbook.entries` (or in memory if no key). Updated in place, like stored dialogues.
+   *
+   * @param  {string} participants Participants key
+   * @return {Object}              Entry times and last exit time
+  */
+  entryRecord (participants) {
+    let entries = this.entries
+    if (!_.isNil(this.key)) {
+      const stored = storage(this.robot, 'entries')
+      if (_.isNil(stored[this.key])) stored[this.key] = {}
+      entries = stored[this.key]
+    }
+    if (_.isNil(entries[participants])) {
+      entries[participants] = { entered: [], exited: null }
+    }
+    return entries[participants]
+  }
+
+  /**
+   * Get times participants entered within the entry window.
+   *
+   * @param  {string} participants Participants key
+   * @return {number[]}            Entry times (in miliseconds)
+  */
+  recentEntries (participants) {
+    const since = Date.now() - this.config.entryWindow
+    return _.filter(this.entryRecord(participants).entered, (time) => time > since)
+  }
+
+  /**
+   * Enter middleware to limit engaged participants, queueing any over the max.
+   * Added to enter middleware when `maxEngaged` is configured.
+   *
+   * Participants allowed in reserve a place until they're engaged (or denied),
+   * so concurrent entries can't exceed the max.
+   *
+   * @param  {Object}   context Enter middleware context
+   * @param  {Function} next    Continue to next middleware
+   * @param  {Function} done    Complete middleware (without entering)
+   *
+   * @private
+  */
+  capacity (context, next, done) {
+    const { participants, response } = context
+    const position = this.queuePosition(participants)
+    if (position) {
+      response.reply(`${this.config.queueText} ${position}`)
+      return done() // already waiting their turn
+    }
+    if (_.isEmpty(this.queue) && this.hasCapacity()) return next(this.reserve(participants, done))
+    this.enqueue(context, next, done)
+  }
+
+  /**
+   * Check if there's capacity to engage more participants, counting places
+   * reserved by entries in progress.
+   *
+   * @return {boolean} Engaged and reserved are under the max
+   *
+   * @private
+  */
+  hasCapacity () {
+    return _.size(this.engaged) + this.reserved.length < this.config.maxEngaged
+  }
+
+  /**
+   * Reserve a place for participants entering, released when their enter
+   * completes, whether they were engaged or denied by later middleware.
+   *
+   * @param  {string}   participants Participants key
+   * @param  {Function} done         Complete enter middleware
+   * @return {Function}              Completion callback, releasing the place
+   *
+   * @private
+  */
+  reserve (participants, done) {
+    this.reserved.push(participants)
+    return (context) => {
+      _.pull(this.reserved, participants)
+      return done(context)
+    }
+  }
+
+  /**
+   * Add participants to queue, telling them their position. Their enter will
+   * continue when admitted, or end when dequeued.
+   *
+   * Emits `enqueue` with the response, participants and position.
+   *
+   * @param  {Object}   context Enter middleware context
+   * @param  {Function} next    Continue enter middleware
+   * @param  {Function} done    Complete enter middleware (without entering)
+   * @return {number}           Position in queue
+  */
+  enqueue (context, next, done) {
+    const { participants, response } = context
+    this.queue.push({ participants, response, next, done })
+    const position = this.queue.length
+    this.emit('enqueue', response, { participants, position })
+    this.log.info(`Queued ${this.config.scope} ${participants} at ${position}`)
+    response.reply(`${this.config.queueText} ${position}`)
+    return position
+  }
+
+  /**
+   * Remove participants from queue without entering, e.g. if they leave.
+   *
+   * Emits `dequeue` with the response, participants and "left" status.
+   *
+   * @param  {string}  participants Participants key
+   * @return {boolean}              Dequeued (false if not in queue)
+  */
+  dequeue (participants) {
+    const entry = _.find(this.queue, { participants })
+    if (_.isNil(entry)) return false
+    _.pull(this.queue, entry)
+    this.emit('dequeue', entry.response, { participants, status: 'left' })
+    this.log.info(`Dequeued ${this.config.scope} ${participants}`)
+    entry.done()
+    return true
+  }
+
+  /**
+   * Enter the first participants in queue, if there's capacity. Called when
+   * participants exit. If the rest of their enter doesn't engage them, the next
+   * in queue are admitted instead.
+   *
+   * Emits `dequeue` with the response, participants and "entered" status.
+   *
+   * @return {boolean} Admitted participants (false if queue empty or full)
+  */
+  admit () {
+    if (_.isEmpty(this.queue) || !this.hasCapacity()) return false
+    const entry = _.head(this.queue)
+    if (this.inDialogue(entry.participants)) { // entered some other way meanwhile
+      this.dequeue(entry.participants)
+      return this.admit()
+    }
+    this.queue.shift()
+    this.emit('dequeue', entry.response, { participants: entry.participants, status: 'entered' })
+    this.log.info(`Admitting ${this.config.scope} ${entry.participants} from queue`)
+    const done = this.reserve(entry.participants, entry.done)
+    entry.next((context) => {
+      done(context)
+      if (!this.inDialogue(entry.participants)) this.admit()
+    })
+    return true
+  }
+
+  /**
+   * Get position of participants in queue.
+   *
+   * @param  {string} participants Participants key
+   * @return {number}              Position (from 1, or 0 if not queued)
+  */
+  queuePosition (participants) {
+    return _.findIndex(this.queue, { participants }) + 1
+  }
+
+  /**
+   * Hand off engaged participants to a person, pausing their dialogue and
+   * sending the operator room the transcript so far, with the command to claim.
+   *
+   * Emits `handoff` with the response and the reason.
+   *
+   * @param  {Response} res      Hubot Response object
+   * @param  {string}   [reason] Why handed off, for operators
+   * @return {Promise}           Resolves true when sent (false if not engaged or already handed off)
+  */
+  handoff (res, reason = 'unknown') {
+    if (_.isNil(this.config.operatorRoom)) this.error('Handoff requires operator room')
+    const participants = this.engagedKey(res)
+    const dialogue = this.engaged[participants]
+    if (_.isNil(dialogue) || participants in this.handoffs) return Promise.resolve(false)
+    dialogue.pause()
+    this.handoffs[participants] = { operator: null, reason }
+    this.startHandoffTimeout(participants)
+    this.emit('handoff', res, { participants, reason })
+    this.log.info(`Handing off ${this.config.scope} ${participants} (${reason})`)
+    const notice = [
+      `Handoff for ${participants} (${reason}), reply "${this.config.claimCommand} ${participants}" to take over.`,
+      ...dialogue.messages.map(([name, text]) => `${name}: ${text}`)
+    ]
+    const sent = (_.isNil(this.config.handoffText))
+      ? Promise.resolve()
+      : dialogue.send(this.config.handoffText)
+    return sent.then(() => {
+      this.robot.messageRoom(this.config.operatorRoom, notice.join('\n'))
+      return true
+    })
+  }
+
+  /**
+   * Start (or restart) countdown for activity in a handoff, unless there's no
+   * handoff timeout configured.
+   *
+   * @param {string} participants ID of handed off user, room or composite
+   *
+   * @private
+  */
+  startHandoffTimeout (participants) {
+    const handoff = this.handoffs[participants]
+    if (_.isNil(handoff) || _.isNil(this.config.handoffTimeout)) return
+    clearTimeout(handoff.countdown)
+    handoff.countdown = setTimeout(() => {
+      this.expireHandoff(participants)
+    }, this.config.handoffTimeout)
+  }
+
+  /**
+   * End the dialogue of a handoff that had no activity within the timeout,
+   * sending the handoff timeout text first (unless null).
+   *
+   * @param  {string} participants ID of handed off user, room or composite
+   * @return {Promise}             Resolves when dialogue ended (false if not handed off)
+   *
+   * @private
+  */
+  expireHandoff (participants) {
+    const dialogue = this.engaged[participants]
+    if (_.isNil(dialogue) || !(participants in this.handoffs)) return Promise.resolve(false)
+    this.log.info(`Handoff timed out for ${this.config.scope} ${participants}`)
+    const sent = (_.isNil(this.config.handoffTimeoutText))
+      ? Promise.resolve()
+      : dialogue.send(this.config.handoffTimeoutText)
+    return sent.catch((err) => this.log.error(`Failed to send handoff timeout: ${err.message}`))
+    .then(() => dialogue.end('timeout'))
+  }
+
+  /**
+   * Test if message is from an operator for this scene's handoffs, in the
+   * operator room. Claim and release commands are for this scene if they give
+   * participants handed off here (or without participants, if there's a handoff
+   * waiting to claim or the operator has claimed one here). Other messages are
+   * for this scene if from an operator with a claim here. Otherwise they're
+   * left for other scenes sharing the room.
+   *
+   * @param  {Response} res Hubot Response object
+   * @return {boolean}      Is message for handoffs
+  */
+  isOperator (res) {
+    if (_.isEmpty(this.handoffs) || res.message.room !== this.config.operatorRoom) return false
+    const [command, participants] = _.words(res.message.text, /\S+/g)
+    const claimed = res.message.user.id in this.operators
+    if (_.toLower(command) === _.toLower(this.config.claimCommand)) {
+      if (_.isNil(participants)) return _.some(this.handoffs, ['operator', null])
+      return participants in this.handoffs
+    }
+    if (_.toLower(command) === _.toLower(this.config.releaseCommand)) {
+      if (_.isNil(participants)) return claimed
+      return participants in this.handoffs
+    }
+    return claimed
+  }
+
+  /**
+   * Process a message from an operator, to claim or release a handoff, or else
+   * relay it to the participants they claimed.
+   *
+   * @param  {Response} res Hubot Response object
+   * @return {Promise}      Resolves when processed
+  */
+  operate (res) {
+    const [command, participants] = _.words(res.message.text, /\S+/g)
+    if (_.toLower(command) === _.toLower(this.config.claimCommand)) return this.claim(res, participants)
+    if (_.toLower(command) === _.toLower(this.config.releaseCommand)) return this.release(res, participants)
+    return this.relayToParticipants(res)
+  }
+
+  /**
+   * Claim a handoff for the operator, to relay their messages to the
+   * participants. Claims the first waiting handoff if participants not given.
+   *
+   * Emits `claim` with the operator's response, participants and operator.
+   *
+   * @param  {Response} res            Operator's Hubot Response object
+   * @param  {string}   [participants] ID of handed off user, room or composite
+   * @return {Promise}                 Resolves true when claimed (false if not waiting)
+  */
+  claim (res, participants) {
+    if (_.isNil(participants)) participants = _.findKey(this.handoffs, ['operator', null])
+    const handoff = this.handoffs[participants]
+    if (_.isNil(handoff) || !_.isNil(handoff.operator)) {
+      this.log.debug(`Cannot claim ${participants}, not waiting for operator`)
+      return Promise.resolve(false)
+    }
+    const operator = res.message.user
+    handoff.operator = operator.id
+    this.operators[operator.id] = participants
+    this.startHandoffTimeout(participants)
+    this.emit('claim', res, { participants, operator: operator.id })
+    this.log.info(`${operator.name} claimed ${this.config.scope} ${participants}`)
+    const dialogue = this.engaged[participants]
+    if (_.isNil(this.config.claimText)) return Promise.resolve(true)
+    return dialogue.send(`${this.config.claimText} ${operator.name}`).then(() => true)
+  }
+
+  /**
+   * Release a handoff claimed by the operator (or the one given), handing back
+   * to the bot, resuming the dialogue and sending the path's prompt again.
+   *
+   * Emits `handback` with the operator's response, participants and operator.
+   *
+   * @param  {Response} res            Operator's Hubot Response object
+   * @param  {string}   [participants] ID of handed off user, room or composite
+   * @return {Promise}                 Resolves true when released (false if not handed off)
+  */
+  release (res, participants) {
+    const operator = res.message.user
+    if (_.isNil(participants)) participants = this.operators[operator.id]
+    const dialogue = this.engaged[participants]
+    if (_.isNil(dialogue) || !(participants in this.handoffs)) return Promise.resolve(false)
+    clearTimeout(this.handoffs[participants].countdown)
+    delete this.handoffs[participants]
+    this.operators = _.omitBy(this.operators, (handling) => handling === participants)
+    this.emit('handback', res, { participants, operator: operator.id })
+    this.log.info(`${operator.name} handed back ${this.config.scope} ${participants}`)
+    return dialogue.resume().then(() => dialogue.sendPrompt()).then(() => true)
+  }
+
+  /**
+   * Relay a message from handed off participants to the operator room,
+   * keeping it in the dialogue transcript.
+   *
+   * @param  {string}   participants ID of user, room or composite
+   * @param  {Response} res          Hubot Response object
+   * @return {Promise}               Resolves when sent
+  */
+  relayToOperator (participants, res) {
+    const { name } = res.message.user
+    this.engaged[participants].record(name, res.message.text)
+    this.startHandoffTimeout(participants)
+    return Promise.resolve(this.robot.messageRoom(
+      this.config.operatorRoom, `[${participants}] ${name}: ${res.message.text}`
+    ))
+  }
+
+  /**
+   * Relay a message from an operator to the participants they claimed, via
+   * their dialogue.
+   *
+   * @param  {Response} res Operator's Hubot Response object
+   * @return {Promise}      Resolves when sent
+  */
+  relayToParticipants (res) {
+    const participants = this.operators[res.message.user.id]
+    const dialogue = this.engaged[participants]
+    if (_.isNil(dialogue)) return Promise.resolve(false)
+    this.startHandoffTimeout(participants)
+    return dialogue.send(`${res.message.user.name}: ${res.message.text}`)
+  }
+
+  /**
+   * Store state of engaged dialogues in the brain, under the scene key (in
+   * `playbook.engaged`). Playbook also saves scenes whenever the brain is saved,
+   * to update the remaining time of stored dialogues.
+   *
+   * Stored data is updated in place, to avoid the brain emitting `loaded` (which
+   * triggers Playbook to restore dialogues) on every change.
+  */
+  save () {
+    if (_.isNil(this.key)) return
+    const stored = storage(this.robot, 'engaged')
+    stored[this.key] = _.mapValues(this.engaged, (dialogue) => {
+      return dialogue.serialize()
+    })
+  }
+
+  /**
+   * Re-engage participants in dialogues stored in the brain (e.g. before a
+   * restart), continuing from their last path with the remaining timeout.
+   *
+   * Paths are rebuilt from the outline containing a bit with the path key, so
+   * stored dialogues that weren't following an outline will be discarded.
+   *
+   * @return {Promise} Resolves with array of restored dialogues
+  */
+  restore () {
+    const stored = _.get(this.robot.brain.get('playbook'), ['engaged', this.key])
+    if (_.isNil(this.key) || _.isEmpty(stored)) return Promise.resolve([])
+    const outlines = _.get(this.robot, 'playbook.outlines', [])
+    const restoring = _.map(stored, (record, participants) => {
+      if (this.inDialogue(participants)) return null
+      const path = record.path || {}
+      const outline = _.find(outlines, (outline) => _.some(outline.bits, ['key', path.key]))
+      if (_.isNil(outline) || path.closed || _.some(path.branches, _.isNil)) {
+        this.log.debug(`Cannot restore dialogue for ${participants}, path can't be rebuilt`)
+        return null
+      }
+      const { user, room, text } = record.message
+      const res = createResponse(this.robot, user, room, text)
+      if (record.message.thread) thread.assign(res.message, record.message.thread)
+      const args = _.isNil(record.key) ? [] : [record.key]
+      return new Promise((resolve) => this.processEnter({
+        response: res,
+        participants: participants,
+        options: record.config,
+        arguments: args,
+        restored: true
+      }, resolve)).then((context) => {
+        return outline.restorePath(context.response, path).then(() => {
+          context.dialogue.startTimeout(record.remaining)
+          if (record.paused) context.dialogue.pause()
+          this.emit('restore', context.response, context.dialogue)
+          this.log.info(`Restored ${this.config.scope} ${participants} in dialogue`)
+          return context.dialogue
+        })
+      })
+    })
+    return Promise.all(restoring).then((restored) => {
+      this.save() // discard any records that weren't restored
+      return _.compact(restored)
+    })
   }
 
   /**
@@ -290,6 +1187,24 @@ class Scene extends Base {
     return this.engaged[participants]
   }
 
+  /**
+   * Get engaged dialogues that aren't paused.
+   *
+   * @return {Object} Dialogues keyed by participants
+  */
+  activeDialogues () {
+    return _.omitBy(this.engaged, 'paused')
+  }
+
+  /**
+   * Get engaged dialogues that are paused.
+   *
+   * @return {Object} Dialogues keyed by participants
+  */
+  pausedDialogues () {
+    return _.pickBy(this.engaged, 'paused')
+  }
+
   /**
    * Get the engaged status for participants.
    *
@@ -18,6 +18,9 @@ _.mixin({
  * Transcripts are searchable, to provide context from conversation history with
  * a given user, or based on any other attribute, such as listener ID.
  *
+ * Events from a scene's dialogues record the participants key the scene
+ * resolved (see `Scene.whoSpeaks`), to find history for custom keys too.
+ *
  * Different instances can be configured to record an overview or drilled down
  * analytics for a specific module’s interactions using its key.
  *
@@ -85,9 +88,15 @@ class Transcript extends Base {
     if ((response != null) && (this.config.messageAtts != null)) {
       record.message = _.pickHas(response.message, this.config.messageAtts)
     }
+    const participants = _.get(response, 'dialogue.participants')
+    if (participants != null) record.participants = participants
 
     if (!_.isEmpty(args)) {
       if (event === 'send' && args[0].strings) record.strings = args[0].strings
+      else if (event === 'match' && args[0].candidates) record.candidates = args[0].candidates
+      else if (_.includes(['push', 'pop'], event)) record.paths = this.pickPaths(args)
+      else if (event === 'back') record.paths = this.pickPaths([args[0]])
+      else if (event === 'end') record.status = args[0]
       else record.other = args
     }
 
@@ -95,6 +104,16 @@ class Transcript extends Base {
     this.emit('record', record)
   }
 
+  /**
+   * Get configured instance attributes of paths given with push/pop/back events.
+   *
+   * @param  {array} paths Path instances (parent may be undefined)
+   * @return {array}       Attributes of each path
+  */
+  pickPaths (paths) {
+    return _.compact(paths).map((path) => _.pickHas(path, this.config.instanceAtts))
+  }
+
   /**
    * Record events emitted by all Playbook modules and/or the robot itself
    * (still only applies to configured event types).
@@ -117,8 +136,8 @@ class Transcript extends Base {
    * @param {Dialogue} dialogue The Dialogue instance
   */
   recordDialogue (dialogue) {
-    let dialogueEvents = _.intersection(this.config.events, ['end', 'send', 'timeout', 'path'])
-    let pathEvents = _.intersection(this.config.events, ['match', 'catch', 'mismatch'])
+    let dialogueEvents = _.intersection(this.config.events, ['end', 'send', 'timeout', 'path', 'push', 'pop', 'back', 'warning', 'extend', 'cancel', 'help', 'restart', 'pause', 'resume'])
+    let pathEvents = _.intersection(this.config.events, ['match', 'catch', 'mismatch', 'outstanding', 'complete', 'suggest', 'fallthrough'])
     dialogueEvents.map((event) => {
       dialogue.on(event, (...args) => this.recordEvent(event, dialogue, ...args))
     })
@@ -143,6 +162,9 @@ class Transcript extends Base {
       if (_.includes(this.config.events, 'enter')) this.recordEvent('enter', scene, res)
       this.recordDialogue(res.dialogue)
     })
+    _.intersection(this.config.events, ['handoff', 'claim', 'handback', 'interrupt', 'enqueue', 'dequeue', 'throttle']).map((event) => {
+      scene.on(event, (...args) => this.recordEvent(event, scene, ...args))
+    })
     scene.on('exit', (...args) => {
       if (_.includes(this.config.events, 'exit')) this.recordEvent('exit', scene, ...args)
 
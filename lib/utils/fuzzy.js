@@ -0,0 +1,54 @@
+'use strict'
+
+const _ = require('lodash')
+
+/**
+ * Count edits (insertions, deletions, substitutions or swapping adjacent
+ * characters) to change one string into another, i.e. the Damerau-Levenshtein
+ * (optimal string alignment) distance, so common typos like "teh" count once.
+ *
+ * @param  {string} a First string
+ * @param  {string} b Second string
+ * @return {number}   Edit distance
+ */
+function distance (a, b) {
+  const d = _.range(a.length + 1).map((i) => [i])
+  for (let j = 1; j <= b.length; j++) d[0][j] = j
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = (a[i - 1] === b[j - 1]) ? 0 : 1
+      d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost)
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1)
+      }
+    }
+  }
+  return d[a.length][b.length]
+}
+
+/**
+ * Find the term in some text closest to any of the given keywords, comparing
+ * each keyword with every run of the same number of words in the text.
+ *
+ * Confidence is the proportion of the longer string that didn't need an edit,
+ * from 0 (nothing alike) to 1 (exact match, ignoring case).
+ *
+ * @param  {array}  keywords Keywords (or phrases) to look for
+ * @param  {string} text     Text to search
+ * @return {Object}          Closest keyword, term in text and confidence (or null)
+ */
+function closest (keywords, text) {
+  const words = _.words(_.toLower(text), /[\w'-]+/g)
+  return _.reduce(keywords, (best, keyword) => {
+    const size = _.words(keyword, /[\w'-]+/g).length
+    for (let i = 0; i + size <= words.length; i++) {
+      const term = words.slice(i, i + size).join(' ')
+      const length = Math.max(term.length, keyword.length)
+      const confidence = 1 - (distance(term, _.toLower(keyword)) / length)
+      if (!best || confidence > best.confidence) best = { keyword, term, confidence }
+    }
+    return best
+  }, null)
+}
+
+module.exports = { distance, closest }
@@ -0,0 +1,38 @@
+'use strict'
+
+const _ = require('lodash')
+
+const words = [
+  ['one', 'first'],
+  ['two', 'second'],
+  ['three', 'third'],
+  ['four', 'fourth'],
+  ['five', 'fifth'],
+  ['six', 'sixth'],
+  ['seven', 'seventh'],
+  ['eight', 'eighth'],
+  ['nine', 'ninth'],
+  ['ten', 'tenth']
+]
+
+/**
+ * Parse a reply referring to an item in a numbered list, by number or ordinal,
+ * e.g. "2", "2nd", "#2", "two", "second", "the second one" or "number 2".
+ *
+ * Used to match replies to menus of choices, see `Path.matchChoice`.
+ *
+ * @param  {string} text Message text
+ * @return {number}      Number of list item (or undefined if not a reference)
+ */
+function ordinal (text) {
+  const reply = _.trim(text).toLowerCase()
+    .replace(/[.!]+$/, '')
+    .replace(/^(the|number|option|no\.?|#)\s*/, '')
+    .replace(/\s+(one|option)$/, '')
+  const digits = reply.match(/^(\d+)(st|nd|rd|th)?$/)
+  if (digits) return parseInt(digits[1])
+  const index = _.findIndex(words, (word) => _.includes(word, reply))
+  if (index > -1) return index + 1
+}
+
+module.exports = ordinal
@@ -0,0 +1,50 @@
+'use strict'
+
+const _ = require('lodash')
+
+/**
+ * Renderers for presenting a prompt with choices, see `Dialogue.sendPrompt`.
+ *
+ * Each renderer is called with the prompt text and choices (label and value)
+ * and returns a message to send, either text or an object for the adapter to
+ * send as attachments/blocks. Buttons reply with the choice value, which
+ * matches the choice's branch the same as typing it.
+ *
+ * Text is the fallback for any adapter without a renderer, listing choices
+ * numbered by their value.
+ *
+ * @type {Object}
+ */
+const renderers = {
+  text: (prompt, choices) => _.compact([
+    prompt,
+    ...choices.map((choice) => `${choice.value}. ${choice.label}`)
+  ]).join('\n'),
+  slack: (prompt, choices) => ({
+    text: renderers.text(prompt, choices),
+    blocks: [
+      { type: 'section', text: { type: 'mrkdwn', text: prompt } },
+      {
+        type: 'actions',
+        elements: choices.map((choice) => ({
+          type: 'button',
+          text: { type: 'plain_text', text: choice.label },
+          value: choice.value
+        }))
+      }
+    ]
+  }),
+  rocketchat: (prompt, choices) => ({
+    msg: prompt,
+    attachments: [{
+      actions: choices.map((choice) => ({
+        type: 'button',
+        text: choice.label,
+        msg: choice.value,
+        msg_in_chat_window: true
+      }))
+    }]
+  })
+}
+
+module.exports = renderers
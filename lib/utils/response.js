@@ -0,0 +1,33 @@
+'use strict'
+
+/**
+ * Create a hubot Response without an incoming message, for interacting with a
+ * user or room from outside a listener, e.g. restoring a dialogue after
+ * restart.
+ *
+ * The message is a minimal stand-in for hubot's TextMessage, providing the
+ * attributes used by Playbook modules and a `finish` method.
+ *
+ * Users with an ID are taken from the brain (added if new), so a user without
+ * one can stand in for a room, e.g. to start a dialogue there.
+ *
+ * @param  {Robot}  robot  Hubot Robot instance
+ * @param  {Object} user   User attributes (looked up by ID, if given)
+ * @param  {string} [room] Room for the message envelope (defaults to user room)
+ * @param  {string} [text] Text for the message (defaults to empty string)
+ * @return {Response}      New Response instance
+ */
+function createResponse (robot, user, room, text = '') {
+  if (user.id != null) user = robot.brain.userForId(user.id, user)
+  const message = {
+    user: user,
+    room: room || user.room,
+    text: text,
+    done: false,
+    finish () { this.done = true },
+    toString () { return this.text }
+  }
+  return new robot.Response(robot, message, text.match(/.*/))
+}
+
+module.exports = createResponse
@@ -0,0 +1,38 @@
+'use strict'
+
+const _ = require('lodash')
+
+/**
+ * Helpers for messages in threads, using the metadata adapters provide, e.g.
+ * `thread_ts` (Slack) or `tmid` (Rocket.Chat).
+ *
+ * A message that isn't in a thread can start one, so its own ID is the thread
+ * ID (as with Slack, where replies are threaded under the message timestamp).
+ *
+ * @type {Object}
+ */
+const thread = {
+  /**
+   * Get the ID of the thread a message is in (or would start).
+   *
+   * @param  {Message} message Hubot message
+   * @return {string}          Thread ID (or undefined if message has no ID)
+   */
+  id: (message) => {
+    const id = _.find([message.thread_ts, message.tmid, message.id], (id) => !_.isNil(id))
+    return (_.isNil(id)) ? undefined : id.toString()
+  },
+
+  /**
+   * Set the thread for a message, so replies via its envelope are sent into
+   * that thread (unless it's already in one).
+   *
+   * @param {Message} message Hubot message
+   * @param {string}  id      Thread ID
+   */
+  assign: (message, id) => {
+    if (_.isNil(message.thread_ts) && _.isNil(message.tmid)) message.thread_ts = id
+  }
+}
+
+module.exports = thread
@@ -0,0 +1,65 @@
+'use strict'
+
+const _ = require('lodash')
+const ordinal = require('./ordinal')
+
+/**
+ * Types for parsing replies to typed prompts, see `Dialogue.ask`.
+ *
+ * Each type has a `parse` function, called with the message text and options
+ * given to ask, returning the parsed value (or undefined if invalid), and the
+ * `invalidText` to send when a reply can't be parsed.
+ *
+ * @type {Object}
+ */
+const types = {
+  text: {
+    parse: (text) => (_.trim(text)) ? _.trim(text) : undefined,
+    invalidText: 'Please reply with some text.'
+  },
+  number: {
+    parse: (text, options = {}) => {
+      const match = text.match(/-?\d+(\.\d+)?/)
+      if (!match) return
+      const value = parseFloat(match[0])
+      if (!_.isNil(options.min) && value < options.min) return
+      if (!_.isNil(options.max) && value > options.max) return
+      return value
+    },
+    invalidText: 'Please reply with a number.'
+  },
+  yesno: {
+    parse: (text) => {
+      if (/^\s*(y|yes|yeah|yep|sure|ok)\b/i.test(text)) return true
+      if (/^\s*(n|no|nope|nah)\b/i.test(text)) return false
+    },
+    invalidText: 'Please reply yes or no.'
+  },
+  email: {
+    parse: (text) => {
+      const match = text.match(/[^\s@<>:]+@[^\s@<>]+\.[^\s@<>|]+/)
+      if (match) return match[0]
+    },
+    invalidText: 'Please reply with an email address.'
+  },
+  date: {
+    parse: (text) => {
+      const time = Date.parse(text)
+      if (!_.isNaN(time)) return new Date(time)
+    },
+    invalidText: 'Please reply with a date, e.g. 2020-01-31.'
+  },
+  choice: {
+    parse: (text, options = {}) => {
+      const choices = options.choices || []
+      const reply = _.trim(text).toLowerCase()
+      const found = _.find(choices, (choice) => String(choice).toLowerCase() === reply)
+      if (!_.isUndefined(found)) return found
+      const number = ordinal(reply)
+      if (number > 0 && number <= choices.length) return choices[number - 1]
+    },
+    invalidText: 'Please reply with one of the choices (or its number).'
+  }
+}
+
+module.exports = types
@@ -235,6 +235,20 @@ describe('Outline', () => {
         await outline.bitCallback(bits[0], res)
         outline.setupPath.should.have.calledWith(res)
       })
+      it('sends labels of next bits as choices', async function () {
+        let res = pretend.response('tester', 'test')
+        let bits = [
+          { key: 'foo', condition: /foo/i, send: 'Which one?', next: ['bar', 'baz'] },
+          { key: 'bar', condition: /bar/i, send: 'bar', label: 'Bar' },
+          { key: 'baz', condition: /baz/i, send: 'baz', label: 'Baz' }
+        ]
+        let outline = new Outline(pretend.robot, bits)
+        res.dialogue = new Dialogue(res)
+        await outline.bitCallback(bits[0], res)
+        pretend.messages.should.eql([
+          [ 'hubot', 'Which one?\n1. Bar\n2. Baz' ]
+        ])
+      })
     })
     context('with nothing to do next', () => {
       it('resolves without setting up path', async function () {
@@ -262,8 +276,24 @@ describe('Outline', () => {
       res.bit = bits[0]
       outline.setupPath(res)
       res.dialogue.addPath.should.have.calledWith([
-        [/bar/i, sinon.match.func],
-        [/baz/i, sinon.match.func]
+        [/bar/i, sinon.match.func, { key: 'bar' }],
+        [/baz/i, sinon.match.func, { key: 'baz' }]
+      ]) // eslint-disable-line
+    })
+    it('creates branches for given keys instead of next bits', () => {
+      let res = pretend.response('tester', 'test')
+      let bits = [
+        { key: 'foo', condition: /foo/i, send: 'foo', next: ['bar', 'baz'] },
+        { key: 'bar', condition: /bar/i, send: 'bar' },
+        { key: 'baz', condition: /baz/i, send: 'baz' }
+      ]
+      let outline = new Outline(pretend.robot, bits)
+      res.dialogue = new Dialogue(res)
+      res.dialogue.addPath = sinon.spy()
+      res.bit = bits[0]
+      outline.setupPath(res, ['baz'])
+      res.dialogue.addPath.should.have.calledWith([
+        [/baz/i, sinon.match.func, { key: 'baz' }]
       ]) // eslint-disable-line
     })
     it('added bit catch property as path option', async function () {
@@ -278,6 +308,82 @@ describe('Outline', () => {
       await outline.setupPath(res)
       res.dialogue.path.config.catchMessage.should.equal(bits[0].catch)
     })
+    it('added bit maxAttempts and exhausted properties as path options', async function () {
+      let res = pretend.response('tester', 'test')
+      let bits = [
+        { key: 'foo', condition: /foo/i, send: 'foo', next: ['bar'], maxAttempts: 3, exhausted: 'foo!' },
+        { key: 'bar', condition: /bar/i, send: 'bar' }
+      ]
+      let outline = new Outline(pretend.robot, bits)
+      res.dialogue = new Dialogue(res)
+      res.bit = bits[0]
+      await outline.setupPath(res)
+      res.dialogue.path.config.maxAttempts.should.equal(3)
+      res.dialogue.path.config.exhaustedMessage.should.equal('foo!')
+    })
+    it('added bit timeout properties as path options', async function () {
+      let clock = sinon.useFakeTimers()
+      let res = pretend.response('tester', 'test')
+      let bits = [
+        { key: 'foo', condition: /foo/i, send: 'foo', next: ['bar'], timeout: 100, timeoutText: 'too slow' },
+        { key: 'bar', condition: /bar/i, send: 'bar' }
+      ]
+      let outline = new Outline(pretend.robot, bits)
+      res.dialogue = new Dialogue(res)
+      res.bit = bits[0]
+      await outline.setupPath(res)
+      res.dialogue.path.config.timeout.should.equal(100)
+      res.dialogue.path.config.timeoutText.should.equal('too slow')
+      res.dialogue.remainingTime().should.equal(100)
+      res.dialogue.clearTimeout()
+      clock.restore()
+    })
+    it('added bit labels as branch options', async function () {
+      let res = pretend.response('tester', 'test')
+      let bits = [
+        { key: 'foo', condition: /foo/i, send: 'foo', next: ['bar', 'baz'] },
+        { key: 'bar', condition: /bar/i, send: 'bar', label: 'Bar' },
+        { key: 'baz', condition: /baz/i, send: 'baz', label: 'Baz' }
+      ]
+      let outline = new Outline(pretend.robot, bits)
+      res.dialogue = new Dialogue(res)
+      res.bit = bits[0]
+      await outline.setupPath(res)
+      res.dialogue.path.menu().should.equal('foo\n1. Bar\n2. Baz')
+    })
+    it('keeps bit send strings as path prompt', async function () {
+      let res = pretend.response('tester', 'test')
+      let bits = [
+        { key: 'foo', condition: /foo/i, send: ['foo', 'bar?'], next: ['bar'] },
+        { key: 'bar', condition: /bar/i, send: 'bar' }
+      ]
+      let outline = new Outline(pretend.robot, bits)
+      res.dialogue = new Dialogue(res)
+      res.bit = bits[0]
+      await outline.setupPath(res)
+      res.dialogue.path.config.prompt.should.eql(['foo', 'bar?'])
+    })
+    it('returns to prior bit with back command', async function () {
+      pretend.robot.playbook.outline([
+        { key: 'foo', condition: /foo/i, send: 'foo!', next: ['bar'], listen: 'hear', options: { backCommand: 'back' } },
+        { key: 'bar', condition: /bar/i, send: 'bar!', next: ['baz'] },
+        { key: 'baz', condition: /baz/i, send: 'baz!' }
+      ])
+      await pretend.user('tester').send('foo?')
+      await pretend.user('tester').send('bar?')
+      await pretend.user('tester').send('back')
+      await pretend.user('tester').send('bar?')
+      pretend.messages.should.eql([
+        [ 'tester', 'foo?' ],
+        [ 'hubot', 'foo!' ],
+        [ 'tester', 'bar?' ],
+        [ 'hubot', 'bar!' ],
+        [ 'tester', 'back' ],
+        [ 'hubot', 'foo!' ],
+        [ 'tester', 'bar?' ],
+        [ 'hubot', 'bar!' ]
+      ])
+    })
     // TODO: move this to usage examples
     it('executes cyclical interaction from connected bits', async function () {
       pretend.robot.playbook.outline([
@@ -305,6 +411,33 @@ describe('Outline', () => {
       ])
     })
   }) // options: { timeout: 10, timeoutText: 'bar timeout' }
+
+  describe('.restorePath', () => {
+    it('rebuilds path with branches for serialised keys', async function () {
+      let res = pretend.response('tester', 'test')
+      let bits = [
+        { key: 'foo', condition: /foo/i, send: 'foo', next: ['bar', 'baz'] },
+        { key: 'bar', condition: /bar/i, send: 'bar' },
+        { key: 'baz', condition: /baz/i, send: 'baz' }
+      ]
+      let outline = new Outline(pretend.robot, bits)
+      res.dialogue = new Dialogue(res)
+      let path = await outline.restorePath(res, { key: 'foo', branches: ['bar', 'baz'] })
+      path.key.should.equal('foo')
+      _.map(path.branches, 'key').should.eql(['bar', 'baz'])
+    })
+    it('does not send the bit strings', async function () {
+      let res = pretend.response('tester', 'test')
+      let bits = [
+        { key: 'foo', condition: /foo/i, send: 'foo', next: ['bar'] },
+        { key: 'bar', condition: /bar/i, send: 'bar' }
+      ]
+      let outline = new Outline(pretend.robot, bits)
+      res.dialogue = new Dialogue(res)
+      await outline.restorePath(res, { key: 'foo', branches: ['bar'] })
+      pretend.messages.should.eql([])
+    })
+  })
 })
 
 // TODO: outline attributes for directors: